@@ -1,41 +1,111 @@
 // @ts-check
-import { drawText, Font, measureText, wrapText } from "./font.js";
+import {
+  drawText,
+  drawTextLayout,
+  Font,
+  FontPage,
+  FontStack,
+  layoutText,
+  measureText,
+} from "./font.js";
+import { UndoHistory } from "./undo.js";
+import {
+  createLibraryFont,
+  deleteFont,
+  getFont,
+  listFonts,
+  putFont,
+} from "./library.js";
+import {
+  createProjectFile,
+  migrateSnapshot,
+  parseProjectFile,
+  projectFileExtension,
+  snapshotVersion,
+} from "./snapshot.js";
+import {
+  bmfontFileExtension,
+  createFontFromBMFont,
+  exportBMFont,
+  parseBMFont,
+} from "./bmfont.js";
+import { convertToWoff, exportTrueType } from "./truetype.js";
+import {
+  bdfFileExtension,
+  createFontFromBDF,
+  exportBDF,
+  parseBDF,
+} from "./bdf.js";
+import { cHeaderFileExtension, exportCHeader } from "./cheader.js";
+import {
+  createFontFromPSF,
+  exportPSF,
+  parsePSF,
+  psfFileExtensions,
+} from "./psf.js";
+import { detectGrid, getInkBounds } from "./grid.js";
+import { packFont } from "./atlas.js";
 
 /**
  * The number of columns in the editor grid.
  */
 const GRID_COLUMNS = 16;
 
+/**
+ * The font metrics that have guides in the editor grid, in the order that
+ * the guide key cycles through them.
+ * @type {FontMetric[]}
+ */
+const FONT_METRICS = ["baseline", "ascent", "descent", "capHeight", "xHeight"];
+
 /**
  * @typedef {import("./font.js").Table} Table
+ * @typedef {HTMLImageElement | HTMLCanvasElement} Texture
+ * The editor's fonts always use images or canvases for their textures.
+ * @typedef {import("./font.js").FontSettings} FontSettings
+ * @typedef {import("./font.js").PixelData} PixelData
+ * @typedef {import("./snapshot.js").Snapshot} Snapshot
+ * @typedef {import("./font.js").TextAlign} TextAlign
+ * @typedef {import("./font.js").OverflowWrap} OverflowWrap
+ * @typedef {import("./font.js").TextLayout} TextLayout
+ * @typedef {import("./font.js").TextStyle} TextStyle
+ * @typedef {import("./snapshot.js").PreviewAnimation} PreviewAnimation
+ * @typedef {import("./cheader.js").CHeaderLayout} CHeaderLayout
+ * @typedef {import("./grid.js").GridSettings} GridSettings
+ * @typedef {"baseline" | "ascent" | "descent" | "capHeight" | "xHeight"} FontMetric
+ *
+ * @typedef {object} FontState
+ * A copy of the font that can be restored by undo and redo.
+ * @prop {Texture[]} textures The texture for each page.
+ * @prop {FontSettings} settings
+ * @prop {string} [previousFontId] Set when the font was just created, so that
+ * undoing it deletes the font and switches back to this one.
  *
- * @typedef {object} Snapshot
- * A serialisable snapshot of the current state of the app.
- * @prop {number} version
- * @prop {string} previewText
- * @prop {string} previewForegroundColor
- * @prop {string} previewBackgroundColor
- * @prop {string} previewStrokeColor
- * @prop {number} previewStrokeBits
- * @prop {number} previewPadding
- * @prop {number} previewCanvasWidth
- * @prop {boolean} previewBackgroundTransparency
- * @prop {boolean} previewTextWrappingEnabled
- * @prop {string} textureUrl
- * @prop {number} glyphWidth
- * @prop {number} glyphHeight
- * @prop {number} lineHeight
- * @prop {number} startCharCode
- * @prop {Table} advanceWidths
- * @prop {Table} xOffsets
- * @prop {Table} yOffsets
- * @prop {Table} codepage
+ * @typedef {object} TextureImportOptions
+ * How images are turned into textures when they're pasted or dropped.
+ * @prop {"auto" | "corner" | "color" | "alpha"} background How to find the
+ * background: "corner" uses the colour of the top left pixel, "color" uses
+ * {@link backgroundColor}, and "alpha" uses the image's own transparency.
+ * "auto" uses the image's transparency if it has any, and its most common
+ * colour otherwise.
+ * @prop {string} backgroundColor
+ * @prop {number} threshold How much (0-255) a pixel's luminance needs to
+ * differ from the background's to be part of a glyph. For "alpha" (or
+ * backgrounds that are already transparent), it's how opaque the pixel needs
+ * to be instead.
+ * @prop {boolean} keepColors Whether glyphs keep their colours and
+ * anti-aliasing, rather than becoming solid black.
  */
 
 /**
- * Increment this value if there's a breaking change to the snapshot format.
+ * @type {TextureImportOptions}
  */
-const snapshotVersion = 1;
+let defaultTextureImportOptions = {
+  background: "auto",
+  backgroundColor: "#ffffff",
+  threshold: 0,
+  keepColors: false,
+};
 
 /**
  * @type {Snapshot}
@@ -53,17 +123,43 @@ let emptySnapshot = {
   previewCanvasWidth: 300,
   previewBackgroundTransparency: false,
   previewTextWrappingEnabled: true,
+  previewTextAlign: "left",
+  previewOverflowWrap: "normal",
+  previewHyphens: false,
+  previewMaxLines: 0,
+  previewMarkupEnabled: false,
+  previewBold: false,
+  previewItalic: false,
+  previewUnderline: false,
+  previewStrikethrough: false,
+  previewAnimation: "none",
+  previewZoom: 1,
+  previewPixelGrid: false,
+  previewFallbackFontIds: [],
+  previewMarkFallbacks: false,
+  previewTint: true,
 
   textureUrl: "fonts/5x8.png",
   glyphWidth: 5,
   glyphHeight: 8,
+  margin: 0,
+  spacing: 0,
   lineHeight: 9,
+  baseline: 7,
+  ascent: 7,
+  descent: 1,
+  capHeight: 7,
+  xHeight: 5,
   startCharCode: 32,
   // prettier-ignore
   advanceWidths: {33:2,37:4,39:2,40:3,41:3,42:4,44:3,46:2,47:4,58:2,59:3,60:4,62:4,74:6,76:4,77:6,78:6,84:6,87:6,89:6,91:3,92:4,93:3,94:4,96:3,102:4,105:2,106:4,108:4,109:6,113:6,116:4,118:6,119:6,123:4,124:2,125:4},
   xOffsets: {},
   yOffsets: {},
-  codepage: {},
+  // Draw typographic quotes and dashes with their ASCII counterparts.
+  // prettier-ignore
+  codepage: {8211:45,8212:45,8216:39,8217:39,8220:34,8221:34},
+  kerning: {},
+  pages: [],
 };
 
 let specimens = {
@@ -102,6 +198,12 @@ THE WORDS “AD ASTRA” WERE PAINTED ON THE SIDE OF THE SHIP IN BOLD, WHITE LET
   Code: measureText.toString(),
 };
 
+/**
+ * The id of the next frame of the preview's animation. It's kept out of the
+ * app's state so that the animation's effect doesn't depend on it.
+ */
+let previewAnimationFrame = 0;
+
 let fontImage = new Image();
 fontImage.src = emptySnapshot.textureUrl;
 
@@ -110,20 +212,52 @@ class App {
 
   selectedCharCode = 32;
 
+  /**
+   * The index of the font page that the page controls (and pasted images)
+   * apply to.
+   */
+  selectedPage = 0;
+
+  /**
+   * The char code of the glyph that is paired with the selected glyph when
+   * adjusting kerning.
+   * @type {number | undefined}
+   */
+  kerningCharCode = undefined;
+
+  /**
+   * The metric whose guide is moved with the keyboard.
+   * @type {FontMetric}
+   */
+  selectedMetric = "baseline";
+
   popupMessage = "";
   popupMessageTimeout = 0;
   popupMessageVisible = false;
 
   /**
-   * @type {Font}
+   * @type {Font<Texture>}
    */
-  font = new Font(fontImage, {
-    glyphWidth: 5,
-    glyphHeight: 8,
-    lineHeight: 9,
-    // prettier-ignore
-    advanceWidths:{33:2,37:4,39:2,40:3,41:3,42:4,44:3,46:2,47:4,58:2,59:3,60:4,62:4,74:6,76:4,77:6,78:6,84:6,87:6,89:6,91:3,92:4,93:3,94:4,96:3,102:4,105:2,106:4,108:4,109:6,113:6,116:4,118:6,119:6,123:4,124:2,125:4,},
-  });
+  font = new Font(fontImage, emptySnapshot);
+
+  /**
+   * @type {UndoHistory<FontState>}
+   */
+  undoHistory = new UndoHistory();
+
+  /**
+   * The fonts in the library, for the font picker.
+   * @type {{ id: string, name: string }[]}
+   */
+  libraryFonts = [];
+
+  /**
+   * The id of the current font in the library, or an empty string while a
+   * font is being opened.
+   */
+  fontId = "";
+  fontName = "";
+  saveTimeout = 0;
 
   previewCanvas = /** @type {HTMLCanvasElement} */ (
     document.getElementById("preview-canvas")
@@ -143,15 +277,144 @@ class App {
   previewCanvasWidth = 300;
   previewTextWrappingEnabled = true;
 
+  /**
+   * @type {TextAlign}
+   */
+  previewTextAlign = "left";
+
+  /**
+   * @type {OverflowWrap}
+   */
+  previewOverflowWrap = "normal";
+  previewHyphens = false;
+  previewMaxLines = 0;
+  previewMarkupEnabled = false;
+  previewBold = false;
+  previewItalic = false;
+  previewUnderline = false;
+  previewStrikethrough = false;
+
+  /**
+   * @type {PreviewAnimation}
+   */
+  previewAnimation = "none";
+
+  /**
+   * The time in milliseconds since the preview's animation started.
+   */
+  previewAnimationTime = 0;
+
+  previewZoom = 1;
+  previewPixelGrid = false;
+
+  /**
+   * The number of screen pixels per CSS pixel, which changes when the window
+   * moves to a different display or the page is zoomed.
+   */
+  pixelRatio = window.devicePixelRatio;
+
+  /**
+   * The ids of the library fonts that the preview falls back to, for
+   * characters that the current font doesn't cover.
+   * @type {string[]}
+   */
+  previewFallbackFontIds = [];
+  previewMarkFallbacks = false;
+
+  /**
+   * Whether the preview is drawn in the foreground colour, rather than the
+   * texture's own colours.
+   */
+  previewTint = true;
+
+  /**
+   * The fonts for {@link previewFallbackFontIds}, once they've loaded.
+   * @type {Font<Texture>[]}
+   */
+  previewFallbackFonts = [];
+
+  autoMetricsLetterSpacing = 1;
+  autoMetricsLeftBearing = false;
+  autoMetricsOverwrite = false;
+
+  /**
+   * @type {"pencil" | "eraser"}
+   */
+  paintTool = "pencil";
+
+  /**
+   * Whether the current stroke fills or clears pixels, or `undefined` if the
+   * user isn't painting.
+   * @type {boolean | undefined}
+   */
+  paintFill = undefined;
+
+  /**
+   * The copy of a page's texture that the current stroke paints into. It
+   * replaces the page's texture when the stroke finishes, so that the font
+   * (and everything derived from it) only changes once per stroke.
+   * @type {{ page: number, canvas: HTMLCanvasElement, ctx: CanvasRenderingContext2D, pixels: number } | undefined}
+   */
+  paintStroke = undefined;
+
+  /**
+   * The pixels from the last copied glyph.
+   * @type {ImageData | undefined}
+   */
+  glyphClipboard = undefined;
+
+  /**
+   * @type {CHeaderLayout}
+   */
+  cHeaderLayout = "gfx";
+  cHeaderSource = "";
+  cHeaderDialogOpen = false;
+
+  /**
+   * An image that is waiting for its grid to be confirmed before it becomes
+   * the texture of a new font.
+   * @type {Texture | undefined}
+   */
+  gridImportTexture = undefined;
+
+  /**
+   * The image that {@link gridImportTexture} was created from, so that it can
+   * be imported again with different options.
+   * @type {ImageBitmap | undefined}
+   */
+  gridImportSource = undefined;
+
+  /**
+   * @type {GridSettings}
+   */
+  gridImportSettings = { glyphWidth: 0, glyphHeight: 0, margin: 0, spacing: 0 };
+
+  /**
+   * @type {TextureImportOptions}
+   */
+  textureImportOptions = loadTextureImportOptions();
+
+  /**
+   * Determines the scale factor used when rendering the glyph that is being
+   * painted.
+   */
+  get paintScaling() {
+    return Math.max(4, Math.floor(160 / this.font.glyphHeight));
+  }
+
   /**
    * Determines the scale factor used when rendering the glyphs in the editor.
    */
   get editorScaling() {
-    let columns = this.font.columns();
-    let rows = this.font.rows();
+    let rows = Math.max(
+      ...this.font.pages.map((_, page) =>
+        Math.ceil(this.font.glyphCount(page) / GRID_COLUMNS),
+      ),
+    );
+
     let scale = 2 * (16 / rows);
     let min = 1;
-    let max = 700 / (columns * this.font.glyphWidth);
+    let max = 700 / (GRID_COLUMNS * this.font.glyphWidth);
     return Math.max(min, Math.min(max, scale));
   }
 
@@ -160,15 +423,21 @@ class App {
   }
 
   async mount() {
-    let snapshotJson = localStorage.snapshot;
-    let snapshot = snapshotJson && JSON.parse(snapshotJson);
-
-    if (snapshot) {
-      await this.loadSnapshot(snapshot);
-    } else {
-      await this.font.texture.decode();
+    let fonts = await listFonts();
+
+    if (fonts.length === 0) {
+      // Move the font that was saved by older versions into the library.
+      let snapshotJson = localStorage.snapshot;
+      let snapshot = snapshotJson ? JSON.parse(snapshotJson) : emptySnapshot;
+      let font = createLibraryFont("Untitled", snapshot);
+      await putFont(font);
+      delete localStorage.snapshot;
+      fonts = [font];
     }
 
+    let font = fonts.find((font) => font.id === localStorage.fontId);
+    await this.openFont((font ?? fonts[0]).id);
+
     window.addEventListener("paste", async (event) => {
       if (!event.clipboardData) return;
 
@@ -178,59 +447,375 @@ class App {
       if (item) {
         let file = item.getAsFile();
         assert(file, "Couldn't read file from clipboard!");
-        let texture = await createFontTextureFromFile(file);
-        await texture.decode();
-        this.setTexture(texture);
+        await this.importImageFile(file);
       }
     });
 
+    window.addEventListener("resize", () => {
+      this.pixelRatio = window.devicePixelRatio;
+    });
+
     window.addEventListener("dragover", (event) => event.preventDefault());
 
     window.addEventListener("drop", async (event) => {
       event.preventDefault();
+      await this.importFiles(Array.from(event.dataTransfer?.files ?? []));
+    });
+  }
 
-      let items = Array.from(event.dataTransfer?.items ?? []);
-      let item = items.find((item) => item.type.startsWith("image/"));
+  /**
+   * Opens project files and replaces the texture with images.
+   * @param {File[]} files
+   */
+  async importFiles(files) {
+    let fontFiles = files.filter((file) =>
+      file.name.endsWith(bmfontFileExtension),
+    );
 
-      if (item) {
-        let file = item.getAsFile();
-        assert(file, "Couldn't read file!");
-        let texture = await createFontTextureFromFile(file);
-        await texture.decode();
-        this.setTexture(texture);
+    // Images that are dropped alongside a font file are its pages, rather than
+    // a new texture for the current font.
+    let otherFiles = files.filter((file) => !fontFiles.includes(file));
+
+    for (let file of fontFiles) {
+      await this.openBMFontFile(file, otherFiles);
+    }
+
+    for (let file of otherFiles) {
+      if (file.name.endsWith(projectFileExtension)) {
+        await this.openProjectFile(file);
+      } else if (isBitmapFontFile(file)) {
+        await this.openBitmapFontFile(file);
+      } else if (file.type.startsWith("image/") && fontFiles.length === 0) {
+        await this.importImageFile(file);
       }
-    });
+    }
+  }
+
+  /**
+   * Turns an image into a texture with the current import options.
+   * @param {File} file
+   */
+  async importImageFile(file) {
+    let source = await createImageBitmap(file);
+    let texture = await createFontTexture(source, this.textureImportOptions);
+    this.setTexture(texture, source);
+  }
+
+  /**
+   * Adds a BMFont to the library, using the dropped files as its pages.
+   * @param {File} file
+   * @param {File[]} pageFiles
+   */
+  async openBMFontFile(file, pageFiles) {
+    try {
+      let bmfont = parseBMFont(await file.text());
+
+      let pages = await Promise.all(
+        bmfont.pages.map((name) => {
+          let pageFile = pageFiles.find((file) => file.name === name);
+
+          if (!pageFile) {
+            throw new Error(`Drop "${name}" along with "${file.name}"!`);
+          }
+
+          return createImageBitmap(pageFile);
+        }),
+      );
+
+      let font = createFontFromBMFont(bmfont, pages);
+      let name = bmfont.face || file.name.replace(bmfontFileExtension, "");
+      await this.addFont(name, this.getSnapshot(font));
+      this.showPopup(`Opened "${name}"!`);
+    } catch (error) {
+      this.showPopup(error instanceof Error ? error.message : String(error));
+    }
+  }
+
+  /**
+   * Adds a BDF or PSF font to the library.
+   * @param {File} file
+   */
+  async openBitmapFontFile(file) {
+    try {
+      let name = file.name.replace(/\.\w+$/, "");
+      let font;
+
+      if (file.name.endsWith(bdfFileExtension)) {
+        let bdf = parseBDF(await file.text());
+        font = createFontFromBDF(bdf);
+        name = bdf.name.startsWith("-") ? name : bdf.name || name;
+      } else {
+        font = createFontFromPSF(parsePSF(await file.arrayBuffer()));
+      }
+
+      await this.addFont(name, this.getSnapshot(font));
+      this.showPopup(`Opened "${name}"!`);
+    } catch (error) {
+      this.showPopup(error instanceof Error ? error.message : String(error));
+    }
+  }
+
+  openFilePicker() {
+    let input = /** @type {HTMLInputElement} */ (
+      document.getElementById("file-input")
+    );
+    input.click();
+  }
+
+  async saveProjectFile() {
+    let json = await createProjectFile(this.fontName, this.getSnapshot());
+    let blob = new Blob([json], { type: "application/json" });
+    downloadFile(`${this.fontName}${projectFileExtension}`, blob);
+  }
+
+  /**
+   * Adds the font from a project file to the library.
+   * @param {File} file
+   */
+  async openProjectFile(file) {
+    try {
+      let { name, snapshot } = parseProjectFile(await file.text());
+      await this.addFont(name ?? file.name, snapshot);
+      this.showPopup(`Opened "${this.fontName}"!`);
+    } catch (error) {
+      this.showPopup(error instanceof Error ? error.message : String(error));
+    }
   }
 
   unmount() {
-    let snapshot = this.getSnapshot();
-    let snapshotJson = JSON.stringify(snapshot);
-    localStorage.snapshot = snapshotJson;
+    this.saveFont();
+  }
+
+  /**
+   * Saves the current font to the library shortly after it changes. Call this
+   * from an effect so that it re-runs whenever the snapshot changes.
+   */
+  autosave() {
+    // Read every part of the snapshot so that the effect depends on all of
+    // it. Reading the textures is enough to notice when they're replaced, so
+    // they're only encoded when the font is actually saved.
+    JSON.stringify(this.getSnapshot(this.font, () => ""));
+    let { fontId } = this;
+
+    clearTimeout(this.saveTimeout);
+    if (!fontId) return;
+
+    this.saveTimeout = setTimeout(() => {
+      if (this.fontId === fontId) this.saveFont();
+    }, 500);
+  }
+
+  /**
+   * Saves the current font to the library immediately.
+   */
+  async saveFont() {
+    clearTimeout(this.saveTimeout);
+    if (!this.fontId) return;
+
+    await putFont({
+      id: this.fontId,
+      name: this.fontName,
+      updatedAt: Date.now(),
+      snapshot: JSON.parse(JSON.stringify(this.getSnapshot())),
+    });
+  }
+
+  async refreshLibrary() {
+    let fonts = await listFonts();
+    this.libraryFonts = fonts.map(({ id, name }) => ({ id, name }));
+  }
+
+  /**
+   * Saves the current font, then switches to another font from the library.
+   * The current font stays open if the other one can't be loaded.
+   * @param {string} id
+   */
+  async openFont(id) {
+    await this.saveFont();
+
+    let font = await getFont(id);
+    assert(font, "Couldn't find font in library!");
+
+    // Stop autosave from writing while the new font is being loaded.
+    let currentId = this.fontId;
+    this.fontId = "";
+
+    try {
+      await this.loadSnapshot(font.snapshot);
+    } catch (error) {
+      this.fontId = currentId;
+      let message = error instanceof Error ? error.message : String(error);
+      this.showPopup(`Couldn't open "${font.name}": ${message}`);
+      return;
+    }
+
+    this.fontId = font.id;
+    this.fontName = font.name;
+    localStorage.fontId = font.id;
+
+    this.undoHistory.clear();
+    await this.refreshLibrary();
+  }
+
+  /**
+   * Adds a font to the library and switches to it.
+   * @param {string} name
+   * @param {Snapshot} snapshot
+   */
+  async addFont(name, snapshot) {
+    let font = createLibraryFont(name, snapshot);
+    await putFont(font);
+    await this.openFont(font.id);
+  }
+
+  async renameFont() {
+    let name = prompt("Rename font", this.fontName);
+    if (!name) return;
+
+    this.fontName = name;
+    await this.saveFont();
+    await this.refreshLibrary();
+  }
+
+  async duplicateFont() {
+    let snapshot = JSON.parse(JSON.stringify(this.getSnapshot()));
+    await this.addFont(`${this.fontName} copy`, snapshot);
+    this.showPopup("Duplicated font!");
+  }
+
+  async deleteCurrentFont() {
+    if (!confirm(`Are you sure you want to delete "${this.fontName}"?`)) {
+      return;
+    }
+
+    let id = this.fontId;
+    this.fontId = "";
+    clearTimeout(this.saveTimeout);
+    await deleteFont(id);
+
+    let fonts = await listFonts();
+
+    if (fonts.length) {
+      await this.openFont(fonts[0].id);
+    } else {
+      await this.addFont("Untitled", emptySnapshot);
+    }
+
+    this.showPopup("Deleted font!");
   }
 
   getEditorGridCells() {
-    let columns = this.font.columns();
-    let rows = this.font.rows();
-    let length = columns * rows;
-
-    return Array.from({ length }).map((_, index) => {
-      let charCode = this.font.startCharCode + index;
-      let char = String.fromCharCode(charCode);
-      let column = index % columns;
-      let row = Math.floor(index / columns);
-      let advance = this.font.advance(charCode);
-      let xOffset = this.font.xOffsets[charCode] ?? 0;
-      let yOffset = this.font.yOffsets[charCode] ?? 0;
-      return { index, column, row, charCode, char, advance, xOffset, yOffset };
+    return this.font.pages.flatMap((fontPage, page) => {
+      let length = this.font.glyphCount(page);
+
+      return Array.from({ length }).map((_, index) => {
+        let charCode = fontPage.startCharCode + index;
+        let char = String.fromCodePoint(charCode);
+        let column = index % GRID_COLUMNS;
+        let row = Math.floor(index / GRID_COLUMNS);
+        let advance = this.font.advance(charCode);
+        let xOffset = this.font.xOffsets[charCode] ?? 0;
+        let yOffset = this.font.yOffsets[charCode] ?? 0;
+        return {
+          page,
+          index,
+          column,
+          row,
+          charCode,
+          char,
+          advance,
+          xOffset,
+          yOffset,
+        };
+      });
     });
   }
 
+  /**
+   * Groups the cells in the editor grid by page, so that each page starts on
+   * a new row.
+   */
+  getEditorGridPages() {
+    let cells = this.getEditorGridCells();
+
+    return this.font.pages.map(({ startCharCode }, index) => ({
+      index,
+      label: `Page ${index + 1}: ${startCharCode}`,
+      cells: cells.filter((cell) => cell.page === index),
+    }));
+  }
+
+  /**
+   * Adds an empty page after the last one, starting from the char code after
+   * its last glyph. The new texture is the same size as the first page's.
+   */
+  addPage() {
+    this.recordHistory();
+
+    let { pages } = this.font;
+    let last = pages[pages.length - 1];
+    let charCodes = this.font.charCodes(pages.length - 1);
+    let startCharCode = (charCodes.pop() ?? last.startCharCode) + 1;
+
+    let canvas = document.createElement("canvas");
+    canvas.width = pages[0].texture.width;
+    canvas.height = pages[0].texture.height;
+
+    pages.push(new FontPage(canvas, startCharCode));
+    this.selectedPage = pages.length - 1;
+    this.selectedCharCode = startCharCode;
+  }
+
+  removePage() {
+    let { pages } = this.font;
+    if (pages.length === 1) return;
+
+    this.recordHistory();
+    pages.splice(this.selectedPage, 1);
+    this.selectedPage = Math.min(this.selectedPage, pages.length - 1);
+  }
+
+  /**
+   * Returns where each metric's guide goes in the editor grid, relative to
+   * the top of a glyph's cell.
+   * @returns {{ metric: FontMetric, y: number }[]}
+   */
+  getMetricGuides() {
+    let { baseline, ascent, descent, capHeight, xHeight } = this.font;
+
+    return [
+      { metric: "ascent", y: baseline - ascent },
+      { metric: "capHeight", y: baseline - capHeight },
+      { metric: "xHeight", y: baseline - xHeight },
+      { metric: "baseline", y: baseline },
+      { metric: "descent", y: baseline + descent },
+    ];
+  }
+
+  /**
+   * Moves a metric's guide up or down by some pixels.
+   * @param {FontMetric} metric
+   * @param {number} dy
+   */
+  moveMetricGuide(metric, dy) {
+    this.recordHistory(metric);
+
+    // The baseline and descent are measured downwards, and the rest are
+    // heights above the baseline
+    if (metric === "baseline" || metric === "descent") {
+      this.font[metric] += dy;
+    } else {
+      this.font[metric] -= dy;
+    }
+  }
+
   /**
    *
    * @param {HTMLCanvasElement} canvas
    * @param {number} charCode
+   * @param {number} scale
    */
-  renderEditorGlyph(canvas, charCode) {
+  renderEditorGlyph(canvas, charCode, scale = this.editorScaling) {
     let font = this.font;
 
     let ctx = canvas.getContext("2d");
@@ -238,166 +823,844 @@ class App {
 
     canvas.width = font.glyphWidth;
     canvas.height = font.glyphHeight;
+    canvas.style.width = `${canvas.width * scale}px`;
+    canvas.style.height = `${canvas.height * scale}px`;
+
+    let rect = font.glyphRect(charCode);
+    let { x: sx, y: sy, width: sw, height: sh } = rect;
+
+    // Packed glyphs go back where they were trimmed from in their cells
+    let dx = rect.left ?? 0;
+    let dy = rect.top ?? 0;
+
+    if (sw > 0 && sh > 0) {
+      let page = font.pageIndex(charCode);
+      let { texture } = font.pages[page];
+      let stroke = this.paintStroke;
+
+      // Reading the stroke's pixel count redraws the glyph as it's painted
+      if (stroke?.page === page && stroke.pixels >= 0) texture = stroke.canvas;
+
+      ctx.drawImage(texture, sx, sy, sw, sh, dx, dy, sw, sh);
+    }
+
+    if (this.isDarkMode) {
+      ctx.globalCompositeOperation = "source-atop";
+      ctx.fillStyle = "white";
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+    }
+  }
+
+  /**
+   *
+   * @param {Texture} image
+   * @param {ImageBitmap} [source] The image that the texture was imported
+   * from, if it was.
+   */
+  setTexture(image, source) {
+    let page = this.selectedPage;
+    let { texture } = this.font.pages[page];
+
+    let hasSameDimensions =
+      image.width === texture.width && image.height === texture.height;
+
+    // If the new image has the same dimensions as the previous one, then
+    // assume it's just a tweaked version of the existing font and preserve the
+    // the settings. The other pages share the first page's grid, so images
+    // that are pasted into them always keep the settings.
+    if (hasSameDimensions || page > 0) {
+      this.recordHistory();
+
+      let textures = this.font.pages.map((fontPage, index) =>
+        index === page ? image : fontPage.texture,
+      );
+
+      this.font = new Font(textures, this.getFontSettings());
+      return;
+    }
+
+    // Otherwise, assume we're creating a brand new font, and guess its grid
+    // from the empty rows and columns so that it can be checked first.
+    this.gridImportSettings = detectGrid(getTextureImageData(image));
+    this.gridImportTexture = image;
+    this.gridImportSource = source;
+  }
+
+  /**
+   * Imports the image in the grid dialog again after its import options have
+   * changed. The options are remembered for the next image.
+   */
+  async updateGridImportTexture() {
+    localStorage.textureImportOptions = JSON.stringify(
+      this.textureImportOptions,
+    );
+
+    let source = this.gridImportSource;
+    if (!source) return;
+
+    let texture = await createFontTexture(source, this.textureImportOptions);
+
+    // The dialog might have been closed while the texture was being created
+    if (this.gridImportSource === source) {
+      this.gridImportTexture = texture;
+    }
+  }
+
+  /**
+   * Creates a new font from the image that is waiting in the grid dialog.
+   */
+  confirmGridImport() {
+    let texture = this.gridImportTexture;
+    if (!texture || !this.isGridImportValid()) return;
+
+    this.gridImportTexture = undefined;
+    this.gridImportSource = undefined;
+    this.recordHistory();
+    this.font = new Font(texture, { ...this.gridImportSettings });
+    this.selectedPage = 0;
+    this.deriveMetrics(this.getEditorGridCells().map((cell) => cell.charCode));
+    this.showPopup("Created new font! Press cmd+z to undo.");
+  }
+
+  cancelGridImport() {
+    this.gridImportTexture = undefined;
+    this.gridImportSource = undefined;
+  }
+
+  /**
+   * Checks that the cells in the grid dialog are big enough to draw.
+   */
+  isGridImportValid() {
+    let { glyphWidth, glyphHeight, margin, spacing } = this.gridImportSettings;
+    return glyphWidth >= 1 && glyphHeight >= 1 && margin >= 0 && spacing >= 0;
+  }
+
+  /**
+   * Describes the grid in the import dialog.
+   */
+  getGridImportSummary() {
+    if (!this.gridImportTexture || !this.isGridImportValid()) return "";
+    let font = new Font(this.gridImportTexture, this.gridImportSettings);
+    return `${font.columns()} × ${font.rows()} glyphs`;
+  }
+
+  /**
+   * Draws the image that is waiting in the grid dialog, with its margin and
+   * spacing shaded so that the cells stand out.
+   * @param {HTMLCanvasElement} canvas
+   */
+  renderGridImportPreview(canvas) {
+    let texture = this.gridImportTexture;
+    if (!texture || !this.isGridImportValid()) return;
+
+    let ctx = canvas.getContext("2d");
+    assert(ctx);
+
+    let font = new Font(texture, this.gridImportSettings);
+    let length = font.columns() * font.rows();
+    let scale = Math.max(1, Math.floor(720 / texture.width));
+
+    canvas.width = texture.width;
+    canvas.height = texture.height;
+    canvas.style.width = `${canvas.width * scale}px`;
+    canvas.style.height = `${canvas.height * scale}px`;
+
+    ctx.fillStyle = "rgba(255, 0, 128, 0.4)";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    for (let index = 0; index < length; index++) {
+      let rect = font.glyphRect(font.startCharCode + index);
+      ctx.clearRect(rect.x, rect.y, rect.width, rect.height);
+    }
+
+    ctx.drawImage(texture, 0, 0);
+
+    if (this.isDarkMode && !this.textureImportOptions.keepColors) {
+      ctx.globalCompositeOperation = "source-atop";
+      ctx.fillStyle = "white";
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+    }
+  }
+
+  /**
+   * Turns on tinting for just one of the texture's colours, starting with the
+   * most common colour in the first page. Turning it off tints every pixel.
+   * @param {boolean} enabled
+   */
+  setTintColorEnabled(enabled) {
+    this.recordHistory();
+    this.font.tintColor = enabled
+      ? getMostCommonColor(getTextureImageData(this.font.texture))
+      : undefined;
+  }
+
+  /**
+   * Replaces one of the font's textures with an edited copy, so that anything
+   * derived from the previous texture is redrawn.
+   * @param {number} page
+   * @param {(ctx: CanvasRenderingContext2D) => void} edit
+   */
+  editTexture(page, edit) {
+    let { canvas, ctx } = copyTexture(this.font.pages[page].texture);
+    edit(ctx);
+    this.font.pages[page].texture = canvas;
+  }
+
+  /**
+   * Reads the pixels in a glyph's cell.
+   * @param {number} charCode
+   * @returns {ImageData}
+   */
+  getGlyphPixels(charCode) {
+    let { glyphWidth, glyphHeight } = this.font;
+    let rect = this.font.glyphRect(charCode);
+    let { left = 0, top = 0 } = rect;
+    let { texture } = this.font.pages[this.font.pageIndex(charCode)];
+    let imageData = getTextureImageData(texture);
+    let pixels = new ImageData(glyphWidth, glyphHeight);
+    let width = Math.min(rect.width, glyphWidth - left);
+    let height = Math.min(rect.height, glyphHeight - top);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        let value = getPixel(imageData, rect.x + x, rect.y + y);
+        setPixel(pixels, left + x, top + y, value);
+      }
+    }
+
+    return pixels;
+  }
+
+  /**
+   * Replaces the pixels of a glyph with a transformed copy of its cell.
+   * Packed glyphs only keep the pixels that land inside their rectangles.
+   * @param {number} charCode
+   * @param {(pixels: ImageData) => ImageData} transform
+   */
+  editGlyphPixels(charCode, transform) {
+    let rect = this.font.glyphRect(charCode);
+    let { left = 0, top = 0 } = rect;
+    let pixels = transform(this.getGlyphPixels(charCode));
+
+    this.editTexture(this.font.pageIndex(charCode), (ctx) => {
+      ctx.putImageData(
+        pixels,
+        rect.x - left,
+        rect.y - top,
+        left,
+        top,
+        rect.width,
+        rect.height,
+      );
+    });
+  }
+
+  /**
+   * Trims every glyph to its pixels and packs each page tightly into a new
+   * texture. The font looks the same, but its glyphs can only be painted
+   * inside their trimmed rectangles afterwards.
+   */
+  packTexture() {
+    this.recordHistory();
+
+    let settings = this.getFontSettings();
+    let packed = this.font.pages.map((_, page) => packFont(this.font, page));
+    let [{ texture, glyphRects }, ...rest] = packed;
+
+    this.font = new Font(
+      packed.map((page) => createTextureFromPixels(page.texture)),
+      {
+        ...settings,
+        glyphRects,
+        pages: settings.pages?.map((page, index) => ({
+          ...page,
+          glyphRects: rest[index].glyphRects,
+        })),
+      },
+    );
+
+    this.showPopup(
+      rest.length
+        ? `Packed ${packed.length} pages!`
+        : `Packed into ${texture.width}×${texture.height} texture!`,
+    );
+  }
+
+  /**
+   * Converts a pointer event on the paint canvas into a pixel in the selected
+   * glyph.
+   * @param {PointerEvent} event
+   */
+  getPaintPixel(event) {
+    let canvas = /** @type {HTMLCanvasElement} */ (event.currentTarget);
+    let bounds = canvas.getBoundingClientRect();
+    let x = (event.clientX - bounds.left) / bounds.width;
+    let y = (event.clientY - bounds.top) / bounds.height;
+
+    return {
+      x: Math.floor(x * this.font.glyphWidth),
+      y: Math.floor(y * this.font.glyphHeight),
+    };
+  }
+
+  /**
+   * @param {PointerEvent} event
+   */
+  startPainting(event) {
+    let canvas = /** @type {HTMLCanvasElement} */ (event.currentTarget);
+    canvas.setPointerCapture(event.pointerId);
+
+    let { x, y } = this.getPaintPixel(event);
+    let pixels = this.getGlyphPixels(this.selectedCharCode);
+    let filled = getPixel(pixels, x, y) !== 0;
+
+    // The pencil toggles the pixel that the stroke starts on, and then
+    // continues to paint that value for the rest of the stroke.
+    this.paintFill = this.paintTool === "pencil" && !filled;
+    this.recordHistory();
+
+    let page = this.font.pageIndex(this.selectedCharCode);
+    let copy = copyTexture(this.font.pages[page].texture);
+    this.paintStroke = { page, ...copy, pixels: 0 };
+    this.paint(x, y);
+  }
+
+  /**
+   * @param {PointerEvent} event
+   */
+  continuePainting(event) {
+    if (this.paintFill === undefined) return;
+    let { x, y } = this.getPaintPixel(event);
+    this.paint(x, y);
+  }
+
+  stopPainting() {
+    let stroke = this.paintStroke;
+    let page = stroke && this.font.pages[stroke.page];
+    if (stroke && page) page.texture = stroke.canvas;
+
+    this.paintStroke = undefined;
+    this.paintFill = undefined;
+  }
+
+  /**
+   * Paints a pixel in the selected glyph with the current stroke's value.
+   * @param {number} x
+   * @param {number} y
+   */
+  paint(x, y) {
+    let stroke = this.paintStroke;
+    if (!stroke) return;
+
+    let { glyphWidth, glyphHeight } = this.font;
+    if (x < 0 || y < 0 || x >= glyphWidth || y >= glyphHeight) return;
+
+    // Packed glyphs can only be painted inside their rectangles
+    let rect = this.font.glyphRect(this.selectedCharCode);
+    let rx = x - (rect.left ?? 0);
+    let ry = y - (rect.top ?? 0);
+    if (rx < 0 || ry < 0 || rx >= rect.width || ry >= rect.height) return;
+
+    let px = rect.x + rx;
+    let py = rect.y + ry;
+
+    let { ctx } = stroke;
+    let filled = getPixel(ctx.getImageData(px, py, 1, 1), 0, 0) !== 0;
+    if (filled === this.paintFill) return;
+
+    if (this.paintFill) {
+      ctx.fillStyle = "black";
+      ctx.fillRect(px, py, 1, 1);
+    } else {
+      ctx.clearRect(px, py, 1, 1);
+    }
+
+    stroke.pixels++;
+  }
+
+  /**
+   * @param {"horizontal" | "vertical"} direction
+   */
+  flipGlyph(direction) {
+    this.recordHistory();
+    this.editGlyphPixels(this.selectedCharCode, (pixels) => {
+      let flipped = new ImageData(pixels.width, pixels.height);
+
+      for (let y = 0; y < pixels.height; y++) {
+        for (let x = 0; x < pixels.width; x++) {
+          let fx = direction === "horizontal" ? pixels.width - 1 - x : x;
+          let fy = direction === "vertical" ? pixels.height - 1 - y : y;
+          setPixel(flipped, fx, fy, getPixel(pixels, x, y));
+        }
+      }
+
+      return flipped;
+    });
+  }
+
+  /**
+   * Moves the contents of the selected glyph, wrapping pixels that fall off
+   * one edge around to the other.
+   * @param {number} dx
+   * @param {number} dy
+   */
+  shiftGlyph(dx, dy) {
+    this.recordHistory(`shift:${this.selectedCharCode}`);
+    this.editGlyphPixels(this.selectedCharCode, (pixels) => {
+      let { width, height } = pixels;
+      let shifted = new ImageData(width, height);
+
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          let sx = (x + dx + width) % width;
+          let sy = (y + dy + height) % height;
+          setPixel(shifted, sx, sy, getPixel(pixels, x, y));
+        }
+      }
+
+      return shifted;
+    });
+  }
+
+  copyGlyph() {
+    this.glyphClipboard = this.getGlyphPixels(this.selectedCharCode);
+    this.showPopup("Copied glyph!");
+  }
+
+  pasteGlyph() {
+    let copied = this.glyphClipboard;
+    if (!copied) return;
+    this.recordHistory();
+
+    this.editGlyphPixels(this.selectedCharCode, (pixels) => {
+      for (let y = 0; y < pixels.height; y++) {
+        for (let x = 0; x < pixels.width; x++) {
+          let inside = x < copied.width && y < copied.height;
+          setPixel(pixels, x, y, inside ? getPixel(copied, x, y) : 0);
+        }
+      }
+
+      return pixels;
+    });
+  }
+
+  /**
+   * @param {number} charCode
+   * @param {number} value
+   */
+  setXOffset(charCode, value) {
+    if (value === 0) {
+      delete this.font.xOffsets[charCode];
+    } else {
+      this.font.xOffsets[charCode] = value;
+    }
+  }
+
+  /**
+   * @param {number} charCode
+   * @param {number} value
+   */
+  setYOffset(charCode, value) {
+    if (value === 0) {
+      delete this.font.yOffsets[charCode];
+    } else {
+      this.font.yOffsets[charCode] = value;
+    }
+  }
+
+  /**
+   * @param {number} charCode
+   * @param {number} value
+   */
+  setAdvanceWidth(charCode, value) {
+    if (value === this.font.glyphWidth) {
+      delete this.font.advanceWidths[charCode];
+    } else {
+      this.font.advanceWidths[charCode] = value;
+    }
+  }
+
+  /**
+   * Derives metrics for some glyphs as an undoable step (see
+   * {@link deriveMetrics}).
+   * @param {number[]} charCodes The glyphs to update.
+   */
+  autoMetrics(charCodes) {
+    this.recordHistory();
+    this.deriveMetrics(charCodes);
+
+    this.showPopup(
+      charCodes.length === 1
+        ? "Updated glyph metrics!"
+        : "Updated font metrics!",
+    );
+  }
+
+  /**
+   * Derives advance widths (and optionally x offsets) from the opaque pixels in
+   * each glyph. Glyphs with manually set metrics are left alone unless
+   * {@link autoMetricsOverwrite} is enabled.
+   * @param {number[]} charCodes The glyphs to update.
+   */
+  deriveMetrics(charCodes) {
+    let { font } = this;
+    let pages = font.pages.map((page) => getTextureImageData(page.texture));
+    let spacing = this.autoMetricsLetterSpacing;
+    let overwrite = this.autoMetricsOverwrite;
+    let spaceCharCode = font.resolve(32);
+
+    /**
+     * @type {number[]}
+     */
+    let inkWidths = [];
+
+    for (let cell of this.getEditorGridCells()) {
+      let rect = font.glyphRect(cell.charCode, cell.page);
+      let bounds = getInkBounds(pages[cell.page], rect);
+      if (bounds) inkWidths.push(bounds.width);
+    }
+
+    for (let charCode of charCodes) {
+      let hasAdvanceWidth = font.advanceWidths[charCode] !== undefined;
+      let hasXOffset = font.xOffsets[charCode] !== undefined;
+
+      if (charCode === spaceCharCode) {
+        if (overwrite || !hasAdvanceWidth) {
+          let inkWidth = median(inkWidths) ?? font.glyphWidth;
+          let spaceWidth = Math.max(1, Math.round(inkWidth / 2)) + spacing;
+          this.setAdvanceWidth(charCode, spaceWidth);
+        }
+        continue;
+      }
+
+      let rect = font.glyphRect(charCode);
+      let bounds = getInkBounds(pages[font.pageIndex(charCode)], rect);
+      if (!bounds) continue;
+
+      // Bounds in packed glyphs are relative to where they were trimmed from
+      let left = (rect.left ?? 0) + bounds.left;
+      let right = left + bounds.width - 1;
+
+      if (this.autoMetricsLeftBearing && (overwrite || !hasXOffset)) {
+        this.setXOffset(charCode, -left);
+      }
+
+      if (overwrite || !hasAdvanceWidth) {
+        let xOffset = font.xOffsets[charCode] ?? 0;
+        this.setAdvanceWidth(charCode, xOffset + right + 1 + spacing);
+      }
+    }
+  }
+
+  /**
+   * @param {number} left
+   * @param {number} right
+   * @param {number} value
+   */
+  setKerning(left, right, value) {
+    let pairs = (this.font.kerning[left] ??= {});
+
+    if (value === 0) {
+      delete pairs[right];
+    } else {
+      pairs[right] = value;
+    }
+
+    if (Object.keys(pairs).length === 0) {
+      delete this.font.kerning[left];
+    }
+  }
+
+  /**
+   * Selects the glyph that is paired with the selected glyph for kerning, or
+   * clears the pair if it is already selected.
+   * @param {number} charCode
+   */
+  toggleKerningCharCode(charCode) {
+    if (this.kerningCharCode === charCode) {
+      this.kerningCharCode = undefined;
+    } else {
+      this.kerningCharCode = charCode;
+    }
+  }
+
+  /**
+   * Renders the selected kerning pair between a pair of reference glyphs.
+   * @param {HTMLCanvasElement} canvas
+   */
+  renderKerningPair(canvas) {
+    let { font, selectedCharCode, kerningCharCode } = this;
+    if (kerningCharCode === undefined) return;
+
+    let ctx = canvas.getContext("2d");
+    assert(ctx);
+
+    let text = String.fromCodePoint(72, selectedCharCode, kerningCharCode, 72);
+
+    let { width, height } = measureText(font, text);
+    canvas.width = width + 2;
+    canvas.height = height + 2;
     canvas.style.width = `${canvas.width * this.editorScaling}px`;
     canvas.style.height = `${canvas.height * this.editorScaling}px`;
 
-    let index = charCode - font.startCharCode;
-    let columns = font.columns();
-    let column = index % columns;
-    let row = Math.floor(index / columns);
+    let color = this.isDarkMode ? "white" : "black";
+    drawText(ctx, font, text, 1, 1, color);
+  }
+
+  /**
+   * Returns the code points that the codepage maps onto a given glyph.
+   * @param {number} charCode
+   * @returns {number[]}
+   */
+  getCodepageEntries(charCode) {
+    return Object.keys(this.font.codepage)
+      .map(Number)
+      .filter((codePoint) => this.font.codepage[codePoint] === charCode);
+  }
+
+  /**
+   * @param {number} codePoint
+   * @param {number | undefined} charCode
+   */
+  setCodepageEntry(codePoint, charCode) {
+    this.recordHistory();
+    if (charCode === undefined || charCode === codePoint) {
+      delete this.font.codepage[codePoint];
+    } else {
+      this.font.codepage[codePoint] = charCode;
+    }
+  }
 
-    let sx = column * font.glyphWidth;
-    let sy = row * font.glyphHeight;
-    let sw = font.glyphWidth;
-    let sh = font.glyphHeight;
+  /**
+   * Maps the first character in a string onto the selected glyph.
+   * @param {string} char
+   */
+  assignCodepageChar(char) {
+    let codePoint = char.codePointAt(0);
+    if (codePoint === undefined) return;
+    this.setCodepageEntry(codePoint, this.selectedCharCode);
+  }
+
+  /**
+   * @param {number} charCode
+   */
+  setMissingGlyph(charCode) {
+    this.recordHistory();
+    if (charCode === this.font.startCharCode) {
+      this.font.missingGlyph = undefined;
+    } else {
+      this.font.missingGlyph = charCode;
+    }
+  }
+
+  /**
+   * Loads the preview's fallback fonts from the library.
+   */
+  async loadFallbackFonts() {
+    let ids = [...this.previewFallbackFontIds];
+
+    let fonts = await Promise.all(
+      ids.map(async (id) => {
+        let libraryFont = await getFont(id);
+        let snapshot = libraryFont && migrateSnapshot(libraryFont.snapshot);
+        return snapshot && createFontFromSnapshot(snapshot);
+      }),
+    );
+
+    // Ignore the results if the fallbacks changed while they were loading
+    if (ids.join() === this.previewFallbackFontIds.join()) {
+      this.previewFallbackFonts = fonts.filter((font) => font !== undefined);
+    }
+  }
+
+  /**
+   * @param {string} id
+   */
+  addFallbackFont(id) {
+    this.previewFallbackFontIds = [...this.previewFallbackFontIds, id];
+  }
+
+  /**
+   * @param {string} id
+   */
+  removeFallbackFont(id) {
+    this.previewFallbackFontIds = this.previewFallbackFontIds.filter(
+      (fallbackId) => fallbackId !== id,
+    );
+  }
+
+  /**
+   * @param {string} id
+   */
+  getLibraryFontName(id) {
+    return this.libraryFonts.find((font) => font.id === id)?.name ?? id;
+  }
+
+  /**
+   * Returns the font that the preview is drawn with, including any fallbacks.
+   * @returns {Font<Texture> | FontStack}
+   */
+  getPreviewFont() {
+    return this.previewFallbackFonts.length
+      ? new FontStack([this.font, ...this.previewFallbackFonts])
+      : this.font;
+  }
+
+  /**
+   * Highlights the characters in the preview that are drawn with a fallback
+   * font.
+   * @param {FontStack} stack
+   * @param {TextLayout} layout
+   * @param {number} x
+   * @param {number} y
+   */
+  markFallbackGlyphs(stack, layout, x, y) {
+    let ctx = this.previewCtx;
+    ctx.fillStyle = "rgba(30, 144, 255, 0.4)";
+
+    for (let line of layout.lines) {
+      for (let glyph of line.glyphs) {
+        if (glyph.font !== stack.fonts[0]) {
+          let { cursor, advance } = glyph;
+          ctx.fillRect(x + cursor, y + line.y, advance, layout.lineHeight);
+        }
+      }
+    }
+  }
+
+  renderPreview() {
+    let font = this.getPreviewFont();
+
+    // The canvas is drawn at the screen's resolution, so that zoomed text
+    // stays crisp on high density displays
+    let scale = Math.max(1, Math.round(this.previewZoom * this.pixelRatio));
+    let padding = this.previewPadding * scale;
+
+    let layout = layoutText(font, this.previewText, {
+      maxWidth: this.previewTextWrappingEnabled
+        ? (this.previewCanvasWidth - this.previewPadding * 2) * scale
+        : undefined,
+      align: this.previewTextAlign,
+      overflowWrap: this.previewOverflowWrap,
+      hyphens: this.previewHyphens,
+      maxLines: this.previewMaxLines || undefined,
+      markup: this.previewMarkupEnabled,
+      bold: this.previewBold,
+      italic: this.previewItalic,
+      underline: this.previewUnderline,
+      strikethrough: this.previewStrikethrough,
+      scale,
+    });
+
+    let canvas = this.previewCanvas;
+    let ctx = this.previewCtx;
 
-    let dx = 0;
-    let dy = 0;
-    let dw = font.glyphWidth;
-    let dh = font.glyphHeight;
+    canvas.width = layout.width + padding * 2;
+    canvas.height = layout.height + padding * 2;
+    canvas.style.width = `${canvas.width / this.pixelRatio}px`;
+    canvas.style.height = `${canvas.height / this.pixelRatio}px`;
 
-    ctx.drawImage(font.texture, sx, sy, sw, sh, dx, dy, dw, dh);
+    ctx.imageSmoothingEnabled = false;
 
-    if (this.isDarkMode) {
-      ctx.globalCompositeOperation = "source-atop";
-      ctx.fillStyle = "white";
+    if (!this.previewBackgroundTransparency) {
+      ctx.fillStyle = this.previewBackgroundColor;
       ctx.fillRect(0, 0, canvas.width, canvas.height);
     }
-  }
 
-  /**
-   *
-   * @param {HTMLImageElement} image
-   */
-  setTexture(image) {
-    let hasSameDimensions =
-      image.width === this.font.texture.width &&
-      image.height === this.font.texture.height;
+    let x = padding;
+    let y = padding;
 
-    // If the new image has the same dimensions as the previous one, then
-    // assume it's just a tweaked version of the existing font and preserve the
-    // the settings.
-    if (hasSameDimensions) {
-      this.font = new Font(image, {
-        glyphWidth: this.font.glyphWidth,
-        glyphHeight: this.font.glyphHeight,
-        lineHeight: this.font.lineHeight,
-        startCharCode: this.font.startCharCode,
-        advanceWidths: this.font.advanceWidths,
-        xOffsets: this.font.xOffsets,
-        yOffsets: this.font.yOffsets,
-        codepage: this.font.codepage,
-      });
-      return;
+    if (this.previewMarkFallbacks && font instanceof FontStack) {
+      this.markFallbackGlyphs(font, layout, x, y);
     }
 
-    // Otherwise, assume we're creating a brand new font.
+    let style = { ...this.getPreviewStyle(layout), tint: this.previewTint };
+    drawTextLayout(ctx, layout, x, y, this.previewForegroundColor, style);
 
-    if (!confirm(`Are you sure you want to discard the current font?`)) {
-      return;
+    if (this.previewPixelGrid && scale > 1) {
+      this.drawPreviewPixelGrid(scale);
     }
-
-    let columns = 16;
-    let rows = image.width === image.height ? 16 : 6;
-
-    // Guess the glyph sizes, from our guess at the font layout.
-    let glyphWidth = Math.ceil(image.width / columns);
-    let glyphHeight = Math.ceil(image.height / rows);
-
-    // TODO: Guess the advance widths based on the actual pixels in each glyph
-
-    this.font = new Font(image, {
-      glyphWidth,
-      glyphHeight,
-    });
-
-    this.showPopup("Created new font!");
   }
 
   /**
-   * @param {number} charCode
-   * @param {number} value
+   * Draws a line between each of the text's pixels in the preview.
+   * @param {number} scale The size of the text's pixels on the canvas.
    */
-  setXOffset(charCode, value) {
-    if (value === 0) {
-      delete this.font.xOffsets[charCode];
-    } else {
-      this.font.xOffsets[charCode] = value;
+  drawPreviewPixelGrid(scale) {
+    let canvas = this.previewCanvas;
+    let ctx = this.previewCtx;
+    ctx.fillStyle = "rgba(128, 128, 128, 0.3)";
+
+    for (let x = scale; x < canvas.width; x += scale) {
+      ctx.fillRect(x, 0, 1, canvas.height);
     }
-  }
 
-  /**
-   * @param {number} charCode
-   * @param {number} value
-   */
-  setYOffset(charCode, value) {
-    if (value === 0) {
-      delete this.font.yOffsets[charCode];
-    } else {
-      this.font.yOffsets[charCode] = value;
+    for (let y = scale; y < canvas.height; y += scale) {
+      ctx.fillRect(0, y, canvas.width, 1);
     }
   }
 
   /**
-   * @param {number} charCode
-   * @param {number} value
+   * Returns the style that the preview's text is drawn with, including the
+   * current frame of its animation.
+   * @param {TextLayout} layout
+   * @returns {TextStyle}
    */
-  setAdvanceWidth(charCode, value) {
-    if (value === this.font.glyphWidth) {
-      delete this.font.advanceWidths[charCode];
-    } else {
-      this.font.advanceWidths[charCode] = value;
-    }
-  }
-
-  renderPreview() {
-    let { font } = this;
-
-    let textWidth = this.previewTextWrappingEnabled
-      ? this.previewCanvasWidth - this.previewPadding * 2
-      : Infinity;
-
-    let lines = wrapText(font, this.previewText, textWidth);
-    let textHeight = lines.length * font.lineHeight;
+  getPreviewStyle(layout) {
+    let time = this.previewAnimationTime;
+    let { scale } = layout;
 
-    let canvas = this.previewCanvas;
-    let ctx = this.previewCtx;
+    let effects = this.previewStrokeBits
+      ? [{ color: this.previewStrokeColor, outline: this.previewStrokeBits }]
+      : [];
 
-    canvas.width = this.previewCanvasWidth;
-    canvas.height = textHeight + this.previewPadding * 2;
+    if (this.previewAnimation === "typewriter") {
+      let length = 0;
+      for (let line of layout.lines) length += line.glyphs.length;
 
-    if (!this.previewTextWrappingEnabled) {
-      let widths = lines.map(line => measureText(font, line).width);
-      let maxWidth = Math.max(...widths);
-      canvas.width = maxWidth + this.previewPadding * 2;
+      // Hold the finished text for a moment before starting again
+      let visibleCount = Math.floor(time / 40) % (length + 25);
+      return { effects, visibleCount };
     }
 
-    ctx.imageSmoothingEnabled = true;
+    if (this.previewAnimation === "wave") {
+      return {
+        effects,
+        transform: (glyph) => ({
+          y: Math.round(Math.sin(time / 150 - glyph.index / 2) * 2) * scale,
+        }),
+      };
+    }
 
-    if (!this.previewBackgroundTransparency) {
-      ctx.fillStyle = this.previewBackgroundColor;
-      ctx.fillRect(0, 0, canvas.width, canvas.height);
+    if (this.previewAnimation === "shake") {
+      return {
+        effects,
+        transform: () => ({
+          x: Math.round(Math.random() * 2 - 1) * scale,
+          y: Math.round(Math.random() * 2 - 1) * scale,
+        }),
+      };
     }
 
-    let x = this.previewPadding;
-    let y = this.previewPadding;
+    return { effects };
+  }
+
+  /**
+   * Updates {@link previewAnimationTime} on each frame while the preview is
+   * animated, so that the preview is redrawn.
+   */
+  animatePreview() {
+    cancelAnimationFrame(previewAnimationFrame);
+    if (this.previewAnimation === "none") return;
 
-    for (let line of lines) {
-      let bits = this.previewStrokeBits;
-      let strokeColor = this.previewStrokeColor;
-      if (bits & 1) drawText(ctx, font, line, x + 1, y, strokeColor);
-      if (bits & 2) drawText(ctx, font, line, x + 1, y + 1, strokeColor);
-      if (bits & 4) drawText(ctx, font, line, x, y + 1, strokeColor);
-      if (bits & 8) drawText(ctx, font, line, x - 1, y + 1, strokeColor);
-      if (bits & 16) drawText(ctx, font, line, x - 1, y, strokeColor);
-      if (bits & 32) drawText(ctx, font, line, x - 1, y - 1, strokeColor);
-      if (bits & 64) drawText(ctx, font, line, x, y - 1, strokeColor);
-      if (bits & 128) drawText(ctx, font, line, x + 1, y - 1, strokeColor);
+    let start = performance.now();
 
-      drawText(ctx, this.font, line, x, y, this.previewForegroundColor);
+    let tick = () => {
+      this.previewAnimationTime = performance.now() - start;
+      previewAnimationFrame = requestAnimationFrame(tick);
+    };
 
-      y += this.font.lineHeight;
-    }
+    tick();
   }
 
   /**
@@ -429,8 +1692,9 @@ class App {
     let xOffset = font.xOffsets[selectedCharCode] ?? 0;
     let yOffset = font.yOffsets[selectedCharCode] ?? 0;
     let advanceWidth = font.advance(selectedCharCode);
+    let kerningCharCode = this.kerningCharCode;
 
-    let { key, shiftKey, altKey, metaKey } = event;
+    let { key, shiftKey, altKey, metaKey, ctrlKey } = event;
     let up = ["ArrowUp", "k", "K"].includes(key);
     let down = ["ArrowDown", "j", "J"].includes(key);
     let left = ["ArrowLeft", "h", "H"].includes(key);
@@ -441,33 +1705,76 @@ class App {
       event.preventDefault();
     }
 
-    if (shiftKey && key === "N") {
+    if ((metaKey || ctrlKey) && key === "s") {
+      event.preventDefault();
+      this.saveProjectFile();
+    } else if ((metaKey || ctrlKey) && key === "o") {
+      event.preventDefault();
+      this.openFilePicker();
+    } else if ((metaKey || ctrlKey) && shiftKey && key.toLowerCase() === "z") {
+      event.preventDefault();
+      this.redo();
+    } else if ((metaKey || ctrlKey) && key.toLowerCase() === "z") {
+      event.preventDefault();
+      this.undo();
+    } else if (shiftKey && key === "N") {
       this.createNewFont();
     } else if (key === "e") {
       this.exportJavaScript();
+    } else if (key === "m") {
+      this.autoMetrics([selectedCharCode]);
+    } else if (shiftKey && key === "M") {
+      this.autoMetrics(this.getEditorGridCells().map((cell) => cell.charCode));
+    } else if (key === "[" && kerningCharCode !== undefined) {
+      let kerning = font.kern(selectedCharCode, kerningCharCode);
+      this.recordHistory(`kerning:${selectedCharCode}:${kerningCharCode}`);
+      this.setKerning(selectedCharCode, kerningCharCode, kerning - 1);
+    } else if (key === "]" && kerningCharCode !== undefined) {
+      let kerning = font.kern(selectedCharCode, kerningCharCode);
+      this.recordHistory(`kerning:${selectedCharCode}:${kerningCharCode}`);
+      this.setKerning(selectedCharCode, kerningCharCode, kerning + 1);
+    } else if (key === "g") {
+      let index = FONT_METRICS.indexOf(this.selectedMetric);
+      this.selectedMetric = FONT_METRICS[(index + 1) % FONT_METRICS.length];
+    } else if (altKey && shiftKey && up) {
+      this.moveMetricGuide(this.selectedMetric, -1);
+    } else if (altKey && shiftKey && down) {
+      this.moveMetricGuide(this.selectedMetric, 1);
     } else if (shiftKey && left) {
+      this.recordHistory(`xOffset:${selectedCharCode}`);
       this.setXOffset(selectedCharCode, xOffset - 1);
     } else if (shiftKey && right) {
+      this.recordHistory(`xOffset:${selectedCharCode}`);
       this.setXOffset(selectedCharCode, xOffset + 1);
     } else if (shiftKey && up) {
+      this.recordHistory(`yOffset:${selectedCharCode}`);
       this.setYOffset(selectedCharCode, yOffset - 1);
     } else if (shiftKey && down) {
+      this.recordHistory(`yOffset:${selectedCharCode}`);
       this.setYOffset(selectedCharCode, yOffset + 1);
     } else if (altKey && left) {
+      this.recordHistory(`advanceWidth:${selectedCharCode}`);
       this.setAdvanceWidth(selectedCharCode, advanceWidth - 1);
     } else if (altKey && right) {
+      this.recordHistory(`advanceWidth:${selectedCharCode}`);
       this.setAdvanceWidth(selectedCharCode, advanceWidth + 1);
     } else if (altKey && up) {
+      this.recordHistory("lineHeight");
       font.lineHeight -= 1;
     } else if (altKey && down) {
+      this.recordHistory("lineHeight");
       font.lineHeight += 1;
     } else if (metaKey && left) {
+      this.recordHistory("glyphWidth");
       font.glyphWidth -= 1;
     } else if (metaKey && right) {
+      this.recordHistory("glyphWidth");
       font.glyphWidth += 1;
     } else if (metaKey && up) {
+      this.recordHistory("glyphHeight");
       font.glyphHeight -= 1;
     } else if (metaKey && down) {
+      this.recordHistory("glyphHeight");
       font.glyphHeight += 1;
     } else if (left) {
       this.selectedCharCode -= 1;
@@ -496,9 +1803,12 @@ class App {
   }
 
   /**
+   * @param {Font<Texture>} font
+   * @param {(texture: Texture) => string} getUrl Turns each page's texture
+   * into a URL.
    * @returns {Snapshot}
    */
-  getSnapshot() {
+  getSnapshot(font = this.font, getUrl = getTextureUrl) {
     return {
       version: snapshotVersion,
       previewText: this.previewText,
@@ -510,30 +1820,64 @@ class App {
       previewCanvasWidth: this.previewCanvasWidth,
       previewBackgroundTransparency: this.previewBackgroundTransparency,
       previewTextWrappingEnabled: this.previewTextWrappingEnabled,
-      textureUrl: this.font.texture.src,
-      glyphWidth: this.font.glyphWidth,
-      glyphHeight: this.font.glyphHeight,
-      lineHeight: this.font.lineHeight,
-      startCharCode: this.font.startCharCode,
-      advanceWidths: this.font.advanceWidths,
-      xOffsets: this.font.xOffsets,
-      yOffsets: this.font.yOffsets,
-      codepage: this.font.codepage,
+      previewTextAlign: this.previewTextAlign,
+      previewOverflowWrap: this.previewOverflowWrap,
+      previewHyphens: this.previewHyphens,
+      previewMaxLines: this.previewMaxLines,
+      previewMarkupEnabled: this.previewMarkupEnabled,
+      previewBold: this.previewBold,
+      previewItalic: this.previewItalic,
+      previewUnderline: this.previewUnderline,
+      previewStrikethrough: this.previewStrikethrough,
+      previewAnimation: this.previewAnimation,
+      previewZoom: this.previewZoom,
+      previewPixelGrid: this.previewPixelGrid,
+      previewFallbackFontIds: this.previewFallbackFontIds,
+      previewMarkFallbacks: this.previewMarkFallbacks,
+      previewTint: this.previewTint,
+      textureUrl: getUrl(font.texture),
+      glyphWidth: font.glyphWidth,
+      glyphHeight: font.glyphHeight,
+      margin: font.margin,
+      spacing: font.spacing,
+      lineHeight: font.lineHeight,
+      baseline: font.baseline,
+      ascent: font.ascent,
+      descent: font.descent,
+      capHeight: font.capHeight,
+      xHeight: font.xHeight,
+      startCharCode: font.startCharCode,
+      advanceWidths: font.advanceWidths,
+      xOffsets: font.xOffsets,
+      yOffsets: font.yOffsets,
+      codepage: font.codepage,
+      missingGlyph: font.missingGlyph,
+      kerning: font.kerning,
+      glyphRects: font.glyphRects,
+      tintColor: font.tintColor,
+      pages: font.pages.slice(1).map((page) => ({
+        textureUrl: getUrl(page.texture),
+        startCharCode: page.startCharCode,
+        glyphRects: page.glyphRects,
+      })),
     };
   }
 
   /**
+   * Replaces the current font and preview settings with a snapshot's. Throws
+   * (without changing anything) if the snapshot can't be loaded.
    * @param {Snapshot} snapshot
    */
   async loadSnapshot(snapshot) {
-    if (snapshot.version !== snapshotVersion) {
-      this.showPopup("Could not load saved font!");
-      return;
+    let upgraded = migrateSnapshot(snapshot);
+
+    if (!upgraded) {
+      throw new Error("It was saved by a newer version of Tinyfonts!");
     }
 
-    let texture = new Image();
-    texture.src = snapshot.textureUrl;
-    await texture.decode();
+    snapshot = upgraded;
+
+    let font = await createFontFromSnapshot(snapshot);
 
     this.previewText = snapshot.previewText;
     this.previewForegroundColor = snapshot.previewForegroundColor;
@@ -544,41 +1888,192 @@ class App {
     this.previewCanvasWidth = snapshot.previewCanvasWidth;
     this.previewBackgroundTransparency = snapshot.previewBackgroundTransparency;
     this.previewTextWrappingEnabled = snapshot.previewTextWrappingEnabled;
-    this.font.glyphWidth = snapshot.glyphWidth;
-    this.font.glyphHeight = snapshot.glyphHeight;
-    this.font.lineHeight = snapshot.lineHeight;
-    this.font.startCharCode = snapshot.startCharCode;
-    this.font.advanceWidths = snapshot.advanceWidths;
-    this.font.xOffsets = snapshot.xOffsets;
-    this.font.yOffsets = snapshot.yOffsets;
-    this.font.codepage = snapshot.codepage;
-    this.font.texture = texture;
+    this.previewTextAlign = snapshot.previewTextAlign;
+    this.previewOverflowWrap = snapshot.previewOverflowWrap;
+    this.previewHyphens = snapshot.previewHyphens;
+    this.previewMaxLines = snapshot.previewMaxLines;
+    this.previewMarkupEnabled = snapshot.previewMarkupEnabled;
+    this.previewBold = snapshot.previewBold;
+    this.previewItalic = snapshot.previewItalic;
+    this.previewUnderline = snapshot.previewUnderline;
+    this.previewStrikethrough = snapshot.previewStrikethrough;
+    this.previewAnimation = snapshot.previewAnimation;
+    this.previewZoom = snapshot.previewZoom;
+    this.previewPixelGrid = snapshot.previewPixelGrid;
+    this.previewFallbackFontIds = snapshot.previewFallbackFontIds;
+    this.previewMarkFallbacks = snapshot.previewMarkFallbacks;
+    this.previewTint = snapshot.previewTint;
+    this.font = font;
+    this.selectedPage = 0;
   }
 
-  createNewFont() {
-    if (confirm(`Are you sure you want to discard the current font?`)) {
-      this.loadSnapshot(emptySnapshot);
-      this.showPopup("Created new font!");
-    }
+  /**
+   * Adds an empty font to the library and opens it. Undoing straight away
+   * deletes the new font and switches back to the previous one.
+   */
+  async createNewFont() {
+    let previousFontId = this.fontId;
+    await this.addFont("Untitled", emptySnapshot);
+    this.undoHistory.push({ ...this.getFontState(), previousFontId });
+    this.showPopup("Created new font!");
   }
 
-  exportJavaScript() {
-    /**
-     * @type {import("./font.js").FontSettings}
-     */
-    let settings = {
+  /**
+   * Deletes the current font if it was just created, and switches back to the
+   * font that was open before it.
+   * @param {string} previousFontId
+   */
+  async undoNewFont(previousFontId) {
+    let id = this.fontId;
+    await this.openFont(previousFontId);
+
+    // Keep the new font if the previous one couldn't be opened.
+    if (this.fontId === id) return;
+
+    await deleteFont(id);
+    await this.refreshLibrary();
+  }
+
+  /**
+   * @returns {FontSettings}
+   */
+  getFontSettings() {
+    return {
       glyphWidth: this.font.glyphWidth,
       glyphHeight: this.font.glyphHeight,
+      margin: this.font.margin,
+      spacing: this.font.spacing,
       lineHeight: this.font.lineHeight,
+      baseline: this.font.baseline,
+      ascent: this.font.ascent,
+      descent: this.font.descent,
+      capHeight: this.font.capHeight,
+      xHeight: this.font.xHeight,
       startCharCode: this.font.startCharCode,
       advanceWidths: this.font.advanceWidths,
       xOffsets: this.font.xOffsets,
       yOffsets: this.font.yOffsets,
       codepage: this.font.codepage,
+      missingGlyph: this.font.missingGlyph,
+      kerning: this.font.kerning,
+      glyphRects: this.font.glyphRects,
+      tintColor: this.font.tintColor,
+      pages: this.font.pages.slice(1).map((page) => ({
+        startCharCode: page.startCharCode,
+        glyphRects: page.glyphRects,
+      })),
     };
+  }
+
+  /**
+   * @returns {FontState}
+   */
+  getFontState() {
+    // Copy the tables so that later changes don't modify the saved state.
+    let settings = JSON.parse(JSON.stringify(this.getFontSettings()));
+    let textures = this.font.pages.map((page) => page.texture);
+    return { textures, settings };
+  }
+
+  /**
+   * @param {FontState} state
+   */
+  restoreFontState(state) {
+    this.font = new Font(state.textures, state.settings);
+    this.selectedPage = Math.min(this.selectedPage, this.font.pages.length - 1);
+  }
+
+  /**
+   * Saves the current state of the font, so that the next change can be
+   * undone.
+   * @param {string} [key] Consecutive changes with the same key are undone
+   * together.
+   */
+  recordHistory(key) {
+    this.undoHistory.push(this.getFontState(), key);
+  }
+
+  async undo() {
+    let state = this.undoHistory.undo(this.getFontState());
+
+    if (state?.previousFontId) {
+      await this.undoNewFont(state.previousFontId);
+    } else if (state) {
+      this.restoreFontState(state);
+    }
+  }
+
+  redo() {
+    let state = this.undoHistory.redo(this.getFontState());
+    if (state) this.restoreFontState(state);
+  }
+
+  /**
+   * @param {string} format
+   */
+  async exportFont(format) {
+    let name = this.fontName;
+
+    if (format === "javascript") {
+      this.exportJavaScript();
+    } else if (format === "png") {
+      await downloadPageTextures(this.font, name);
+    } else if (format === "atlas") {
+      let json = JSON.stringify(this.getFontSettings(), null, 2);
+      downloadFile(`${name}.json`, new Blob([json]));
+      await downloadPageTextures(this.font, name);
+    } else if (format === "bmfont-text" || format === "bmfont-xml") {
+      let fnt = exportBMFont(this.font, {
+        face: name,
+        pageFiles: this.font.pages.map((_, page) =>
+          getPageFileName(name, page),
+        ),
+        format: format === "bmfont-xml" ? "xml" : "text",
+      });
+
+      downloadFile(`${name}${bmfontFileExtension}`, new Blob([fnt]));
+      await downloadPageTextures(this.font, name);
+    } else if (format === "truetype" || format === "woff") {
+      let ttf = exportTrueType(this.font, { familyName: name });
+
+      if (format === "woff") {
+        downloadFile(`${name}.woff`, new Blob([await convertToWoff(ttf)]));
+      } else {
+        downloadFile(`${name}.ttf`, new Blob([ttf]));
+      }
+    } else if (format === "bdf") {
+      let bdf = exportBDF(this.font, { name });
+      downloadFile(`${name}${bdfFileExtension}`, new Blob([bdf]));
+    } else if (format === "psf") {
+      let psf = exportPSF(this.font);
+      downloadFile(`${name}${psfFileExtensions[0]}`, new Blob([psf]));
+    } else if (format === "c-header") {
+      this.cHeaderDialogOpen = true;
+      this.updateCHeaderSource();
+    }
+  }
+
+  /**
+   * Regenerates the C header that is shown in the export dialog.
+   */
+  updateCHeaderSource() {
+    this.cHeaderSource = exportCHeader(this.font, {
+      name: this.fontName,
+      layout: this.cHeaderLayout,
+    });
+  }
+
+  downloadCHeader() {
+    let blob = new Blob([this.cHeaderSource], { type: "text/plain" });
+    downloadFile(`${this.fontName}${cHeaderFileExtension}`, blob);
+    this.cHeaderDialogOpen = false;
+  }
+
+  exportJavaScript() {
+    let settings = this.getFontSettings();
 
     let json = JSON.stringify(settings);
-    let js = json.replaceAll(`"`, ``);
+    let js = json.replace(/"(\w+)":/g, "$1:");
 
     navigator.clipboard.writeText(js);
 
@@ -586,6 +2081,38 @@ class App {
   }
 }
 
+/**
+ * @param {File} file
+ */
+function isBitmapFontFile(file) {
+  return [bdfFileExtension, ...psfFileExtensions].some((extension) =>
+    file.name.endsWith(extension),
+  );
+}
+
+/**
+ * Creates a font from a snapshot, once its textures have loaded.
+ * @param {Snapshot} snapshot
+ * @returns {Promise<Font<Texture>>}
+ */
+async function createFontFromSnapshot(snapshot) {
+  let urls = [
+    snapshot.textureUrl,
+    ...snapshot.pages.map((page) => page.textureUrl),
+  ];
+
+  let textures = await Promise.all(
+    urls.map(async (url) => {
+      let texture = new Image();
+      texture.src = url;
+      await texture.decode();
+      return texture;
+    }),
+  );
+
+  return new Font(textures, snapshot);
+}
+
 /**
  * Throws an error if the first argument is not truthy.
  * @param {unknown} condition
@@ -599,22 +2126,180 @@ function assert(condition, message = "Assertion failed") {
 }
 
 /**
- * @param {File} file
+ * Reads the pixels from a font's texture.
+ * @param {Texture} texture
+ * @returns {ImageData}
+ */
+function getTextureImageData(texture) {
+  let canvas = document.createElement("canvas");
+  let ctx = canvas.getContext("2d");
+  assert(ctx);
+
+  canvas.width = texture.width;
+  canvas.height = texture.height;
+  ctx.drawImage(texture, 0, 0);
+
+  return ctx.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+/**
+ * Creates a texture that the editor can draw from some pixels.
+ * @param {PixelData} pixels
+ * @returns {HTMLCanvasElement}
+ */
+function createTextureFromPixels(pixels) {
+  let canvas = document.createElement("canvas");
+  let ctx = canvas.getContext("2d");
+  assert(ctx);
+
+  canvas.width = pixels.width;
+  canvas.height = pixels.height;
+  let imageData = ctx.createImageData(pixels.width, pixels.height);
+  imageData.data.set(pixels.data);
+  ctx.putImageData(imageData, 0, 0);
+
+  return canvas;
+}
+
+/**
+ * Asks the browser to download a file.
+ * @param {string} filename
+ * @param {Blob} blob
+ */
+function downloadFile(filename, blob) {
+  let url = URL.createObjectURL(blob);
+  let link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Returns the file name for one of a font's texture pages. The first page is
+ * named after the font, so fonts with one page export a single "name.png".
+ * @param {string} name
+ * @param {number} page
+ */
+function getPageFileName(name, page) {
+  return page === 0 ? `${name}.png` : `${name}-${page + 1}.png`;
+}
+
+/**
+ * Downloads a PNG for each of a font's texture pages.
+ * @param {Font<Texture>} font
+ * @param {string} name
+ */
+async function downloadPageTextures(font, name) {
+  for (let [page, { texture }] of font.pages.entries()) {
+    downloadFile(getPageFileName(name, page), await getTextureBlob(texture));
+  }
+}
+
+/**
+ * Encodes a texture as a PNG.
+ * @param {Texture} texture
+ * @returns {Promise<Blob>}
+ */
+function getTextureBlob(texture) {
+  let canvas = document.createElement("canvas");
+  let ctx = canvas.getContext("2d");
+  assert(ctx);
+
+  canvas.width = texture.width;
+  canvas.height = texture.height;
+  ctx.drawImage(texture, 0, 0);
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) resolve(blob);
+      else reject(new Error("Couldn't encode texture!"));
+    }, "image/png");
+  });
+}
+
+/**
+ * Copies a texture into a new canvas that can be edited.
+ * @param {Texture} texture
+ */
+function copyTexture(texture) {
+  let canvas = document.createElement("canvas");
+  let ctx = canvas.getContext("2d", { willReadFrequently: true });
+  assert(ctx);
+
+  canvas.width = texture.width;
+  canvas.height = texture.height;
+  ctx.drawImage(texture, 0, 0);
+  return { canvas, ctx };
+}
+
+/**
+ * Returns a URL that can be used to load a copy of a texture.
+ * @param {Texture} texture
+ * @returns {string}
+ */
+function getTextureUrl(texture) {
+  if (texture instanceof HTMLImageElement) {
+    return texture.src;
+  } else {
+    return texture.toDataURL();
+  }
+}
+
+/**
+ * Reads a pixel as a 32-bit integer.
+ * @param {ImageData} imageData
+ * @param {number} x
+ * @param {number} y
+ * @returns {number}
+ */
+function getPixel(imageData, x, y) {
+  let pixels = new Uint32Array(imageData.data.buffer);
+  return pixels[x + y * imageData.width];
+}
+
+/**
+ * Writes a pixel as a 32-bit integer.
+ * @param {ImageData} imageData
+ * @param {number} x
+ * @param {number} y
+ * @param {number} value
+ */
+function setPixel(imageData, x, y, value) {
+  let pixels = new Uint32Array(imageData.data.buffer);
+  pixels[x + y * imageData.width] = value;
+}
+
+/**
+ * @param {number[]} values
+ * @returns {number | undefined}
+ */
+function median(values) {
+  let sorted = values.slice().sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * @param {ImageBitmap} source
+ * @param {TextureImportOptions} options
  * @returns {Promise<HTMLImageElement>}
  */
-async function createFontTextureFromFile(file) {
-  let bitmap = await createImageBitmap(file);
-  let canvas = normalizeFontTexture(bitmap);
+async function createFontTexture(source, options) {
+  let canvas = normalizeFontTexture(source, options);
   let image = new Image();
   image.src = canvas.toDataURL();
+  await image.decode();
   return image;
 }
 
 /**
+ * Removes an image's background, and makes the rest of its pixels black
+ * unless the import options keep their colours.
  * @param {ImageBitmap} image
+ * @param {TextureImportOptions} options
  * @returns {HTMLCanvasElement}
  */
-function normalizeFontTexture(image) {
+function normalizeFontTexture(image, options) {
   let canvas = document.createElement("canvas");
   let ctx = canvas.getContext("2d");
   assert(ctx);
@@ -624,16 +2309,40 @@ function normalizeFontTexture(image) {
   ctx.drawImage(image, 0, 0);
 
   let imageData = ctx.getImageData(0, 0, image.width, image.height);
-  let pixels = new Uint32Array(imageData.data.buffer);
-  let transparent = pixels[0];
+  let { data } = imageData;
+  let { background, backgroundColor, threshold, keepColors } = options;
 
-  for (let i = 0; i < pixels.length; i++) {
-    if (pixels[i] === transparent) {
-      // Remove transparent pixels
-      pixels[i] = 0;
-    } else {
+  if (background === "auto") {
+    let isOpaque = data.every((value, index) => index % 4 < 3 || value === 255);
+    background = isOpaque ? "color" : "alpha";
+
+    // Sheets without transparency are mostly background
+    if (isOpaque) backgroundColor = getMostCommonColor(imageData);
+  }
+
+  let key =
+    background === "corner"
+      ? [data[0], data[1], data[2], data[3]]
+      : hexToRGB(backgroundColor);
+
+  let keyLuminance = getLuminance(key, 0);
+
+  // Transparent backgrounds don't have a colour to compare against
+  let useAlpha = background === "alpha" || key[3] === 0;
+
+  for (let i = 0; i < data.length; i += 4) {
+    let isGlyph = useAlpha
+      ? data[i + 3] > threshold
+      : data[i + 3] > 0 &&
+        !key.every((value, channel) => data[i + channel] === value) &&
+        Math.abs(getLuminance(data, i) - keyLuminance) >= threshold;
+
+    if (!isGlyph) {
+      // Remove background pixels
+      data.fill(0, i, i + 4);
+    } else if (!keepColors) {
       // Make other pixels black
-      pixels[i] = 0xff000000;
+      data.set([0, 0, 0, 255], i);
     }
   }
 
@@ -642,4 +2351,68 @@ function normalizeFontTexture(image) {
   return canvas;
 }
 
+/**
+ * Reads the import options that were last used, falling back to the defaults
+ * if they're missing or can't be read.
+ * @returns {TextureImportOptions}
+ */
+function loadTextureImportOptions() {
+  try {
+    let options = JSON.parse(localStorage.textureImportOptions ?? "{}");
+    return { ...defaultTextureImportOptions, ...options };
+  } catch {
+    return { ...defaultTextureImportOptions };
+  }
+}
+
+/**
+ * @param {string} hex A colour in the "#rrggbb" format.
+ * @returns {number[]} The colour's channels, with an opaque alpha.
+ */
+function hexToRGB(hex) {
+  let value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255, 255];
+}
+
+/**
+ * Calculates the perceived brightness (0-255) of a pixel.
+ * @param {ArrayLike<number>} data
+ * @param {number} index
+ */
+function getLuminance(data, index) {
+  return (
+    data[index] * 0.299 + data[index + 1] * 0.587 + data[index + 2] * 0.114
+  );
+}
+
+/**
+ * Finds the colour of the most common opaque pixel in an image.
+ * @param {ImageData} imageData
+ * @returns {string} A hex colour in the "#rrggbb" format.
+ */
+function getMostCommonColor(imageData) {
+  let { data } = imageData;
+
+  /** @type {Map<number, number>} */
+  let counts = new Map();
+
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] === 0) continue;
+    let color = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+    counts.set(color, (counts.get(color) ?? 0) + 1);
+  }
+
+  let best = 0;
+  let bestCount = 0;
+
+  for (let [color, count] of counts) {
+    if (count > bestCount) {
+      best = color;
+      bestCount = count;
+    }
+  }
+
+  return `#${best.toString(16).padStart(6, "0")}`;
+}
+
 Object.assign(window, { App });
@@ -0,0 +1,109 @@
+// @ts-check
+import { createPixelData, getTexturePixels } from "./font.js";
+import { getInkBounds } from "./grid.js";
+
+/**
+ * @typedef {import("./font.js").Font} Font
+ * @typedef {import("./font.js").PixelData} Pixels
+ * @typedef {import("./font.js").GlyphRect} GlyphRect
+ *
+ * @typedef {object} PackedTexture
+ * A texture with each glyph trimmed to its pixels and packed tightly.
+ * @prop {Pixels} texture
+ * @prop {Record<number, GlyphRect>} glyphRects The rectangle for every glyph
+ * in the page, including the empty ones.
+ */
+
+/**
+ * Trims each of the glyphs in one of a font's pages to its opaque pixels and
+ * packs them into a new texture for the page. The rectangles remember where
+ * each glyph was trimmed from in its cell, so the font draws the same text
+ * with the new texture.
+ *
+ * Glyphs are packed into shelves, tallest first, in a texture that is roughly
+ * square.
+ * @param {Font} font
+ * @param {number} [page]
+ * @returns {PackedTexture}
+ */
+export function packFont(font, page = 0) {
+  let pixels = getTexturePixels(font, page);
+
+  let glyphs = font.charCodes(page).map((charCode) => {
+    let rect = font.glyphRect(charCode, page);
+    let bounds = getInkBounds(pixels, rect) ?? {
+      left: 0,
+      top: 0,
+      width: 0,
+      height: 0,
+    };
+
+    return { charCode, rect, bounds };
+  });
+
+  let area = glyphs.reduce(
+    (area, { bounds }) => area + bounds.width * bounds.height,
+    0,
+  );
+
+  let width = Math.max(
+    1,
+    Math.ceil(Math.sqrt(area)),
+    ...glyphs.map(({ bounds }) => bounds.width),
+  );
+
+  let sorted = glyphs
+    .filter(({ bounds }) => bounds.width > 0)
+    .sort((a, b) => b.bounds.height - a.bounds.height);
+
+  /**
+   * @type {Record<number, GlyphRect>}
+   */
+  let glyphRects = {};
+
+  /**
+   * @type {Map<number, { x: number, y: number }>}
+   */
+  let positions = new Map();
+
+  let x = 0;
+  let y = 0;
+  let shelfHeight = 0;
+
+  for (let { charCode, bounds } of sorted) {
+    if (x + bounds.width > width) {
+      x = 0;
+      y += shelfHeight;
+      shelfHeight = 0;
+    }
+
+    positions.set(charCode, { x, y });
+    x += bounds.width;
+    shelfHeight = Math.max(shelfHeight, bounds.height);
+  }
+
+  let texture = createPixelData(width, Math.max(1, y + shelfHeight));
+
+  for (let { charCode, rect, bounds } of glyphs) {
+    let position = positions.get(charCode) ?? { x: 0, y: 0 };
+
+    glyphRects[charCode] = {
+      x: position.x,
+      y: position.y,
+      width: bounds.width,
+      height: bounds.height,
+      left: (rect.left ?? 0) + bounds.left,
+      top: (rect.top ?? 0) + bounds.top,
+    };
+
+    for (let row = 0; row < bounds.height; row++) {
+      let start =
+        (rect.x + bounds.left + (rect.y + bounds.top + row) * pixels.width) * 4;
+      let end = start + bounds.width * 4;
+      let target = (position.x + (position.y + row) * width) * 4;
+      texture.data.set(pixels.data.subarray(start, end), target);
+    }
+  }
+
+  return { texture, glyphRects };
+}
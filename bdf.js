@@ -0,0 +1,350 @@
+// @ts-check
+import { createFontFromBitmapGlyphs, getGlyphBits } from "./grid.js";
+
+/**
+ * @typedef {import("./font.js").Font} Font
+ *
+ * @typedef {object} BDFBoundingBox
+ * @prop {number} width
+ * @prop {number} height
+ * @prop {number} x The offset from the origin to the left of the box.
+ * @prop {number} y The offset from the baseline to the bottom of the box.
+ *
+ * @typedef {object} BDFChar
+ * @prop {number} encoding The code point of the character, or -1 if it
+ * doesn't have one.
+ * @prop {number} advance
+ * @prop {BDFBoundingBox} bbx
+ * @prop {boolean[]} bits The pixels in the bounding box, one row at a time.
+ *
+ * @typedef {object} BDF
+ * The parts of a Glyph Bitmap Distribution Format font that Tinyfonts
+ * understands.
+ * @prop {string} name
+ * @prop {BDFBoundingBox} boundingBox
+ * @prop {number} ascent
+ * @prop {number} descent
+ * @prop {number} [pixelSize]
+ * @prop {number} [baseline] The distance from the top of the line to the
+ * baseline, which only Tinyfonts writes.
+ * @prop {number} [capHeight]
+ * @prop {number} [xHeight]
+ * @prop {number} [defaultChar]
+ * @prop {BDFChar[]} chars
+ */
+
+export const bdfFileExtension = ".bdf";
+
+/**
+ * Parses a BDF font.
+ * @param {string} source
+ * @returns {BDF}
+ */
+export function parseBDF(source) {
+  let lines = source.split(/\r?\n/);
+
+  /**
+   * @type {BDF}
+   */
+  let bdf = {
+    name: "",
+    boundingBox: { width: 0, height: 0, x: 0, y: 0 },
+    ascent: NaN,
+    descent: NaN,
+    chars: [],
+  };
+
+  /**
+   * @type {BDFChar | undefined}
+   */
+  let char;
+
+  /**
+   * The bitmap rows for the current char, while inside a BITMAP block.
+   * @type {string[] | undefined}
+   */
+  let rows;
+
+  for (let line of lines) {
+    let [keyword, ...values] = line.trim().split(/\s+/);
+    let numbers = values.map(Number);
+
+    if (rows && char && keyword !== "ENDCHAR") {
+      rows.push(keyword);
+    } else if (keyword === "FONT") {
+      bdf.name = values.join(" ");
+    } else if (keyword === "FONTBOUNDINGBOX") {
+      bdf.boundingBox = parseBoundingBox(numbers);
+    } else if (keyword === "FONT_ASCENT") {
+      bdf.ascent = numbers[0];
+    } else if (keyword === "FONT_DESCENT") {
+      bdf.descent = numbers[0];
+    } else if (keyword === "PIXEL_SIZE") {
+      bdf.pixelSize = numbers[0];
+    } else if (keyword === "BASELINE") {
+      bdf.baseline = numbers[0];
+    } else if (keyword === "CAP_HEIGHT") {
+      bdf.capHeight = numbers[0];
+    } else if (keyword === "X_HEIGHT") {
+      bdf.xHeight = numbers[0];
+    } else if (keyword === "DEFAULT_CHAR") {
+      bdf.defaultChar = numbers[0];
+    } else if (keyword === "FAMILY_NAME") {
+      bdf.name = values.join(" ").replaceAll('"', "");
+    } else if (keyword === "STARTCHAR") {
+      char = {
+        encoding: -1,
+        advance: bdf.boundingBox.width,
+        bbx: bdf.boundingBox,
+        bits: [],
+      };
+    } else if (char && keyword === "ENCODING") {
+      char.encoding = numbers[0];
+    } else if (char && keyword === "DWIDTH") {
+      char.advance = numbers[0];
+    } else if (char && keyword === "BBX") {
+      char.bbx = parseBoundingBox(numbers);
+    } else if (char && keyword === "BITMAP") {
+      rows = [];
+    } else if (char && keyword === "ENDCHAR") {
+      char.bits = parseBitmap(rows ?? [], char.bbx.width, char.bbx.height);
+      bdf.chars.push(char);
+      char = undefined;
+      rows = undefined;
+    }
+  }
+
+  if (bdf.chars.length === 0) {
+    throw new Error("Couldn't find any characters in BDF file!");
+  }
+
+  // Fonts without ascent and descent properties use their bounding box
+  if (isNaN(bdf.ascent)) {
+    bdf.ascent = bdf.boundingBox.height + bdf.boundingBox.y;
+  }
+
+  if (isNaN(bdf.descent)) {
+    bdf.descent = -bdf.boundingBox.y;
+  }
+
+  return bdf;
+}
+
+/**
+ * @param {number[]} numbers
+ * @returns {BDFBoundingBox}
+ */
+function parseBoundingBox([width = 0, height = 0, x = 0, y = 0]) {
+  return { width, height, x, y };
+}
+
+/**
+ * Parses the hex encoded rows of a bitmap. Each row is padded to a whole
+ * number of bytes, with the leftmost pixel in the most significant bit.
+ * @param {string[]} rows
+ * @param {number} width
+ * @param {number} height
+ * @returns {boolean[]}
+ */
+function parseBitmap(rows, width, height) {
+  return Array.from({ length: width * height }, (_, index) => {
+    let x = index % width;
+    let y = Math.floor(index / width);
+    let byte = parseInt(
+      (rows[y] ?? "").slice((x >> 3) * 2, (x >> 3) * 2 + 2),
+      16,
+    );
+    return ((byte >> (7 - (x & 7))) & 1) === 1;
+  });
+}
+
+/**
+ * Creates a font from a BDF font. Each glyph's cell is big enough to hold
+ * every glyph's bounding box, with the baseline at the font's ascent. Chars
+ * with identical glyphs share a cell, through the codepage.
+ *
+ * Fonts that Tinyfonts exported also say where their baseline and line are,
+ * which can be different from their ascent and descent.
+ * @param {BDF} bdf
+ * @returns {import("./font.js").Font<HTMLCanvasElement>}
+ */
+export function createFontFromBDF(bdf) {
+  /**
+   * The first char with each distinct glyph, and the code points that use it.
+   * @type {Map<string, { char: BDFChar, codePoints: number[] }>}
+   */
+  let glyphs = new Map();
+
+  for (let char of bdf.chars) {
+    if (char.encoding < 0) continue;
+    let { bbx, advance, bits } = char;
+    let isEmpty = !bits.includes(true);
+
+    // Empty glyphs keep their own cells, so that they can be drawn later
+    let key = isEmpty
+      ? `${char.encoding}`
+      : `${bbx.width},${bbx.height},${bbx.x},${bbx.y},${advance},${bits}`;
+
+    let glyph = glyphs.get(key) ?? { char, codePoints: [] };
+    glyph.codePoints.push(char.encoding);
+    glyphs.set(key, glyph);
+  }
+
+  let chars = Array.from(glyphs.values(), (glyph) => glyph.char);
+  let codePoints = Array.from(glyphs.values(), (glyph) => glyph.codePoints);
+
+  let baseline = bdf.baseline ?? bdf.ascent;
+
+  // Other fonts use PIXEL_SIZE for their nominal size, rather than the space
+  // between their lines
+  let lineHeight =
+    bdf.baseline !== undefined && bdf.pixelSize !== undefined
+      ? bdf.pixelSize
+      : bdf.ascent + bdf.descent;
+
+  // The positions of each bitmap, relative to the top of the line
+  let boxes = chars.map(({ bbx }) => ({
+    x: bbx.x,
+    y: baseline - bbx.y - bbx.height,
+    width: bbx.width,
+    height: bbx.height,
+  }));
+
+  let minX = Math.min(0, ...boxes.map((box) => box.x));
+  let minY = Math.min(0, ...boxes.map((box) => box.y));
+  let maxX = Math.max(1, ...boxes.map((box) => box.x + box.width));
+  let maxY = Math.max(
+    baseline + bdf.descent,
+    ...boxes.map((box) => box.y + box.height),
+  );
+
+  return createFontFromBitmapGlyphs(
+    chars.map((char, index) => ({
+      codePoints: codePoints[index],
+      x: boxes[index].x - minX,
+      y: boxes[index].y - minY,
+      width: char.bbx.width,
+      height: char.bbx.height,
+      bits: char.bits,
+      advance: char.advance,
+    })),
+    {
+      glyphWidth: maxX - minX,
+      glyphHeight: maxY - minY,
+      lineHeight,
+      baseline,
+      ascent: bdf.ascent,
+      descent: bdf.descent,
+      capHeight: bdf.capHeight,
+      xHeight: bdf.xHeight,
+      xOffset: minX,
+      yOffset: minY,
+      missingGlyph: bdf.defaultChar,
+    },
+  );
+}
+
+/**
+ * Converts a font into a BDF font. Every glyph in the font's pages becomes a
+ * character, along with the characters in its codepage. The line height is
+ * written as the PIXEL_SIZE, and the baseline as an extra BASELINE property,
+ * which other BDF readers ignore.
+ * @param {Font} font
+ * @param {object} options
+ * @param {string} options.name
+ * @returns {string}
+ */
+export function exportBDF(font, { name }) {
+  let { glyphWidth, glyphHeight, baseline } = font;
+
+  /**
+   * Glyphs that the codepage remaps don't stand for their own char codes.
+   * @type {[codePoint: number, charCode: number][]}
+   */
+  let chars = font
+    .charCodes()
+    .filter((charCode) => font.codepage[charCode] === undefined)
+    .map((charCode) => [charCode, charCode]);
+
+  for (let [key, charCode] of Object.entries(font.codepage)) {
+    if (charCode !== undefined && font.hasGlyph(charCode)) {
+      chars.push([Number(key), charCode]);
+    }
+  }
+
+  let isMonospace = chars.every(
+    ([, charCode]) => font.advance(charCode) === glyphWidth,
+  );
+
+  // The default char is a code point, which might not be the glyph's char code
+  let missingGlyph = font.missingGlyph ?? font.startCharCode;
+  let [defaultChar = missingGlyph] =
+    chars.find(([, charCode]) => charCode === missingGlyph) ?? [];
+
+  let family = name.replace(/[-"]/g, " ");
+  let spacing = isMonospace ? "C" : "P";
+  let averageWidth = glyphWidth * 10;
+
+  let lines = [
+    `STARTFONT 2.1`,
+    `FONT -Tinyfonts-${family}-Medium-R-Normal--${glyphHeight}-${glyphHeight * 10}-75-75-${spacing}-${averageWidth}-ISO10646-1`,
+    `SIZE ${glyphHeight} 75 75`,
+    `FONTBOUNDINGBOX ${glyphWidth} ${glyphHeight} 0 ${baseline - glyphHeight}`,
+    `STARTPROPERTIES 9`,
+    `FAMILY_NAME "${family}"`,
+    `PIXEL_SIZE ${font.lineHeight}`,
+    `FONT_ASCENT ${font.ascent}`,
+    `FONT_DESCENT ${font.descent}`,
+    `BASELINE ${baseline}`,
+    `CAP_HEIGHT ${font.capHeight}`,
+    `X_HEIGHT ${font.xHeight}`,
+    `DEFAULT_CHAR ${defaultChar}`,
+    `SPACING "${spacing}"`,
+    `ENDPROPERTIES`,
+    `CHARS ${chars.length}`,
+  ];
+
+  for (let [codePoint, charCode] of chars) {
+    let advance = font.advance(charCode);
+    let xOffset = font.xOffsets[charCode] ?? 0;
+    let yOffset = font.yOffsets[charCode] ?? 0;
+    let bits = getGlyphBits(font, charCode);
+
+    lines.push(
+      `STARTCHAR U+${codePoint.toString(16).toUpperCase().padStart(4, "0")}`,
+      `ENCODING ${codePoint}`,
+      `SWIDTH ${Math.round((advance * 1000) / glyphHeight)} 0`,
+      `DWIDTH ${advance} 0`,
+      `BBX ${glyphWidth} ${glyphHeight} ${xOffset} ${baseline - glyphHeight - yOffset}`,
+      `BITMAP`,
+      ...formatBitmap(bits, glyphWidth, glyphHeight),
+      `ENDCHAR`,
+    );
+  }
+
+  lines.push(`ENDFONT`, ``);
+
+  return lines.join("\n");
+}
+
+/**
+ * @param {boolean[]} bits
+ * @param {number} width
+ * @param {number} height
+ * @returns {string[]}
+ */
+function formatBitmap(bits, width, height) {
+  let bytesPerRow = Math.ceil(width / 8);
+
+  return Array.from({ length: height }, (_, y) => {
+    let bytes = new Uint8Array(bytesPerRow);
+
+    for (let x = 0; x < width; x++) {
+      if (bits[x + y * width]) bytes[x >> 3] |= 0x80 >> (x & 7);
+    }
+
+    return Array.from(bytes, (byte) =>
+      byte.toString(16).toUpperCase().padStart(2, "0"),
+    ).join("");
+  });
+}
@@ -0,0 +1,493 @@
+// @ts-check
+import { Font } from "./font.js";
+import { createGridTexture, layoutGrid } from "./grid.js";
+
+/**
+ * @typedef {import("./font.js").Table} Table
+ * @typedef {import("./font.js").KerningTable} KerningTable
+ *
+ * @typedef {object} BMFontChar
+ * @prop {number} id The code point of the character.
+ * @prop {number} x
+ * @prop {number} y
+ * @prop {number} width
+ * @prop {number} height
+ * @prop {number} xoffset
+ * @prop {number} yoffset
+ * @prop {number} xadvance
+ * @prop {number} page
+ *
+ * @typedef {object} BMFontKerning
+ * @prop {number} first
+ * @prop {number} second
+ * @prop {number} amount
+ *
+ * @typedef {object} BMFont
+ * The parts of an AngelCode BMFont descriptor that Tinyfonts understands.
+ * @prop {string} face
+ * @prop {number} lineHeight
+ * @prop {number} base
+ * @prop {BMFontMetrics} metrics The metrics that Tinyfonts adds to the
+ * `common` tag, which are missing from files made by other tools.
+ * @prop {string[]} pages The file names of the texture pages.
+ * @prop {BMFontChar[]} chars
+ * @prop {BMFontKerning[]} kernings
+ *
+ * @typedef {object} BMFontMetrics
+ * @prop {number} [glyphWidth]
+ * @prop {number} [glyphHeight]
+ * @prop {number} [ascent]
+ * @prop {number} [descent]
+ * @prop {number} [capHeight]
+ * @prop {number} [xHeight]
+ * @prop {number} [missingGlyph] The code point of the missing glyph.
+ *
+ * @typedef {{ name: string, attributes: Record<string, string> }} BMFontTag
+ */
+
+export const bmfontFileExtension = ".fnt";
+
+/**
+ * Converts a font into an AngelCode BMFont descriptor, with a BMFont page for
+ * each of the font's pages. BMFont only has a line height and a baseline, so
+ * the font's other metrics are written as extra attributes of the `common`
+ * tag, which other BMFont readers ignore.
+ * @param {Font} font
+ * @param {object} options
+ * @param {string} options.face The name of the font.
+ * @param {string[]} options.pageFiles The file name of each page's texture.
+ * @param {"text" | "xml"} [options.format] Defaults to "text".
+ * @returns {string}
+ */
+export function exportBMFont(font, { face, pageFiles, format = "text" }) {
+  /**
+   * @param {number} id
+   * @param {number} charCode
+   */
+  let createChar = (id, charCode) => {
+    let rect = font.glyphRect(charCode);
+
+    return {
+      id,
+      x: rect.x,
+      y: rect.y,
+      width: rect.width,
+      height: rect.height,
+      xoffset: (rect.left ?? 0) + (font.xOffsets[charCode] ?? 0),
+      yoffset: (rect.top ?? 0) + (font.yOffsets[charCode] ?? 0),
+      xadvance: font.advance(charCode),
+      page: font.pageIndex(charCode),
+      chnl: 15,
+    };
+  };
+
+  /**
+   * Glyphs that the codepage remaps don't stand for their own char codes.
+   * @type {[codePoint: number, charCode: number][]}
+   */
+  let codePoints = font
+    .charCodes()
+    .filter((charCode) => font.codepage[charCode] === undefined)
+    .map((charCode) => [charCode, charCode]);
+
+  for (let [key, charCode] of Object.entries(font.codepage)) {
+    if (charCode !== undefined && font.hasGlyph(charCode)) {
+      codePoints.push([Number(key), charCode]);
+    }
+  }
+
+  let chars = codePoints.map(([id, charCode]) => createChar(id, charCode));
+
+  /**
+   * @param {number} charCode
+   */
+  let getCodePoints = (charCode) =>
+    codePoints.filter(([, code]) => code === charCode).map(([id]) => id);
+
+  // Kerning is stored by glyph, so repeat it for every char that uses a glyph
+  let kernings = Object.entries(font.kerning).flatMap(([left, pairs]) =>
+    Object.entries(pairs ?? {}).flatMap(([right, amount]) =>
+      getCodePoints(Number(left)).flatMap((first) =>
+        getCodePoints(Number(right)).map((second) => ({
+          first,
+          second,
+          amount,
+        })),
+      ),
+    ),
+  );
+
+  // The missing glyph is stored as a code point, like the chars
+  let [missingGlyph] =
+    font.missingGlyph === undefined ? [] : getCodePoints(font.missingGlyph);
+
+  let info = {
+    face,
+    size: font.glyphHeight,
+    bold: 0,
+    italic: 0,
+    charset: "",
+    unicode: 1,
+    stretchH: 100,
+    smooth: 0,
+    aa: 1,
+    padding: "0,0,0,0",
+    spacing: "0,0",
+  };
+
+  // BMFont expects every page to be the same size, so use the largest
+  let common = {
+    lineHeight: font.lineHeight,
+    base: font.baseline,
+    scaleW: Math.max(...font.pages.map((page) => page.texture.width)),
+    scaleH: Math.max(...font.pages.map((page) => page.texture.height)),
+    pages: font.pages.length,
+    packed: 0,
+    glyphWidth: font.glyphWidth,
+    glyphHeight: font.glyphHeight,
+    ascent: font.ascent,
+    descent: font.descent,
+    capHeight: font.capHeight,
+    xHeight: font.xHeight,
+    ...(missingGlyph === undefined ? {} : { missingGlyph }),
+  };
+
+  let pages = font.pages.map((_, id) => ({ id, file: pageFiles[id] }));
+
+  if (format === "xml") {
+    return [
+      `<?xml version="1.0"?>`,
+      `<font>`,
+      `  ${formatXmlTag("info", info)}`,
+      `  ${formatXmlTag("common", common)}`,
+      `  <pages>`,
+      ...pages.map((page) => `    ${formatXmlTag("page", page)}`),
+      `  </pages>`,
+      `  <chars count="${chars.length}">`,
+      ...chars.map((char) => `    ${formatXmlTag("char", char)}`),
+      `  </chars>`,
+      `  <kernings count="${kernings.length}">`,
+      ...kernings.map((kerning) => `    ${formatXmlTag("kerning", kerning)}`),
+      `  </kernings>`,
+      `</font>`,
+      ``,
+    ].join("\n");
+  }
+
+  return [
+    formatTextTag("info", info),
+    formatTextTag("common", common),
+    ...pages.map((page) => formatTextTag("page", page)),
+    formatTextTag("chars", { count: chars.length }),
+    ...chars.map((char) => formatTextTag("char", char)),
+    formatTextTag("kernings", { count: kernings.length }),
+    ...kernings.map((kerning) => formatTextTag("kerning", kerning)),
+    ``,
+  ].join("\n");
+}
+
+/**
+ * The attributes that are quoted in the text variant of the format.
+ */
+const quotedAttributes = ["face", "charset", "file"];
+
+/**
+ * @param {string} name
+ * @param {Record<string, unknown>} attributes
+ */
+function formatTextTag(name, attributes) {
+  let pairs = Object.entries(attributes).map(([key, value]) =>
+    quotedAttributes.includes(key)
+      ? `${key}="${String(value).replaceAll('"', "")}"`
+      : `${key}=${value}`,
+  );
+
+  return [name, ...pairs].join(" ");
+}
+
+/**
+ * @param {string} name
+ * @param {Record<string, unknown>} attributes
+ */
+function formatXmlTag(name, attributes) {
+  let pairs = Object.entries(attributes).map(
+    ([key, value]) => `${key}="${escapeXml(String(value))}"`,
+  );
+
+  return `<${[name, ...pairs].join(" ")}/>`;
+}
+
+/**
+ * @param {string} value
+ */
+function escapeXml(value) {
+  return value
+    .replaceAll("&", "&amp;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;");
+}
+
+/**
+ * @param {string} value
+ */
+function unescapeXml(value) {
+  return value
+    .replaceAll("&quot;", '"')
+    .replaceAll("&lt;", "<")
+    .replaceAll("&gt;", ">")
+    .replaceAll("&amp;", "&");
+}
+
+/**
+ * Parses the text or XML variant of an AngelCode BMFont descriptor.
+ * @param {string} source
+ * @returns {BMFont}
+ */
+export function parseBMFont(source) {
+  let isXml = source.trimStart().startsWith("<");
+  let tags = isXml ? parseXmlTags(source) : parseTextTags(source);
+
+  /**
+   * @type {BMFont}
+   */
+  let bmfont = {
+    face: "",
+    lineHeight: 0,
+    base: 0,
+    metrics: {},
+    pages: [],
+    chars: [],
+    kernings: [],
+  };
+
+  for (let { name, attributes } of tags) {
+    /**
+     * @param {string} key
+     */
+    let int = (key) => parseInt(attributes[key] ?? "0");
+
+    /**
+     * @param {string} key
+     */
+    let optionalInt = (key) => (key in attributes ? int(key) : undefined);
+
+    if (name === "info") {
+      bmfont.face = attributes.face ?? "";
+    } else if (name === "common") {
+      bmfont.lineHeight = int("lineHeight");
+      bmfont.base = int("base");
+      bmfont.metrics = {
+        glyphWidth: optionalInt("glyphWidth"),
+        glyphHeight: optionalInt("glyphHeight"),
+        ascent: optionalInt("ascent"),
+        descent: optionalInt("descent"),
+        capHeight: optionalInt("capHeight"),
+        xHeight: optionalInt("xHeight"),
+        missingGlyph: optionalInt("missingGlyph"),
+      };
+    } else if (name === "page") {
+      bmfont.pages[int("id")] = attributes.file ?? "";
+    } else if (name === "char") {
+      bmfont.chars.push({
+        id: int("id"),
+        x: int("x"),
+        y: int("y"),
+        width: int("width"),
+        height: int("height"),
+        xoffset: int("xoffset"),
+        yoffset: int("yoffset"),
+        xadvance: int("xadvance"),
+        page: int("page"),
+      });
+    } else if (name === "kerning") {
+      bmfont.kernings.push({
+        first: int("first"),
+        second: int("second"),
+        amount: int("amount"),
+      });
+    }
+  }
+
+  if (bmfont.chars.length === 0) {
+    throw new Error("Couldn't find any characters in BMFont file!");
+  }
+
+  return bmfont;
+}
+
+/**
+ * @param {string} source
+ * @returns {BMFontTag[]}
+ */
+function parseTextTags(source) {
+  return source
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line)
+    .map((line) => {
+      let name = line.split(/\s/)[0];
+      return { name, attributes: parseAttributes(line.slice(name.length)) };
+    });
+}
+
+/**
+ * @param {string} source
+ * @returns {BMFontTag[]}
+ */
+function parseXmlTags(source) {
+  let matches = source.matchAll(/<(\w+)([^>]*?)\/?>/g);
+
+  return Array.from(matches, ([, name, attributes]) => ({
+    name,
+    attributes: parseAttributes(attributes, unescapeXml),
+  }));
+}
+
+/**
+ * @param {string} source
+ * @param {(value: string) => string} [unescape]
+ * @returns {Record<string, string>}
+ */
+function parseAttributes(source, unescape = (value) => value) {
+  let matches = source.matchAll(/(\w+)=(?:"([^"]*)"|(\S+))/g);
+
+  return Object.fromEntries(
+    Array.from(matches, ([, key, quoted, value]) => [
+      key,
+      unescape(quoted ?? value),
+    ]),
+  );
+}
+
+/**
+ * Creates a font from a BMFont descriptor and its pages. The glyphs are copied
+ * from the pages into a grid, and any characters that share a glyph are mapped
+ * onto it with the codepage. The cell size and the metrics that BMFont doesn't
+ * have (like the ascent and x-height) are read from the attributes that
+ * {@link exportBMFont} adds, or get their defaults for files from other tools.
+ * @param {BMFont} bmfont
+ * @param {CanvasImageSource[]} pages The images for each of the pages.
+ * @returns {Font<HTMLCanvasElement>}
+ */
+export function createFontFromBMFont(bmfont, pages) {
+  /**
+   * The first char for each distinct glyph in the pages.
+   * @type {Map<string, BMFontChar>}
+   */
+  let glyphs = new Map();
+
+  /**
+   * Maps the code points of chars that reuse another char's glyph to the code
+   * point of the original char.
+   * @type {Map<number, number>}
+   */
+  let aliases = new Map();
+
+  for (let char of bmfont.chars) {
+    let { page, x, y, width, height, xoffset, yoffset, xadvance } = char;
+    let isEmpty = width === 0 || height === 0;
+
+    let key = isEmpty
+      ? `${char.id}`
+      : `${page},${x},${y},${width},${height},${xoffset},${yoffset},${xadvance}`;
+
+    let original = glyphs.get(key);
+
+    if (original) {
+      aliases.set(char.id, original.id);
+    } else {
+      glyphs.set(key, char);
+    }
+  }
+
+  let { metrics } = bmfont;
+  let chars = Array.from(glyphs.values());
+  let layout = layoutGrid(chars.map((char) => char.id));
+
+  // Keep the font's own cell size, as long as every glyph still fits
+  let glyphWidth = Math.max(
+    metrics.glyphWidth ?? 1,
+    ...chars.map((char) => char.width),
+  );
+  let glyphHeight = Math.max(
+    metrics.glyphHeight ?? 1,
+    ...chars.map((char) => char.height),
+  );
+  let columns = 16;
+
+  let texture = createGridTexture(
+    layout.length,
+    glyphWidth,
+    glyphHeight,
+    columns,
+  );
+
+  let ctx = texture.getContext("2d");
+  if (!ctx) throw new Error("Couldn't create canvas!");
+
+  /** @type {Table} */
+  let advanceWidths = {};
+  /** @type {Table} */
+  let xOffsets = {};
+  /** @type {Table} */
+  let yOffsets = {};
+  /** @type {Table} */
+  let codepage = { ...layout.codepage };
+  /** @type {KerningTable} */
+  let kerning = {};
+
+  for (let char of chars) {
+    let charCode = /** @type {number} */ (layout.charCodes.get(char.id));
+    let index = charCode - layout.startCharCode;
+    let dx = (index % columns) * glyphWidth;
+    let dy = Math.floor(index / columns) * glyphHeight;
+    let image = pages[char.page];
+
+    if (image && char.width > 0 && char.height > 0) {
+      let { x, y, width, height } = char;
+      ctx.drawImage(image, x, y, width, height, dx, dy, width, height);
+    }
+
+    if (char.xadvance !== glyphWidth) advanceWidths[charCode] = char.xadvance;
+    if (char.xoffset !== 0) xOffsets[charCode] = char.xoffset;
+    if (char.yoffset !== 0) yOffsets[charCode] = char.yoffset;
+  }
+
+  /**
+   * @param {number} id
+   */
+  let getCharCode = (id) => layout.charCodes.get(aliases.get(id) ?? id);
+
+  for (let [id, originalId] of aliases) {
+    codepage[id] = layout.charCodes.get(originalId);
+  }
+
+  for (let { first, second, amount } of bmfont.kernings) {
+    let left = getCharCode(first);
+    let right = getCharCode(second);
+    if (left === undefined || right === undefined || amount === 0) continue;
+    kerning[left] = { ...kerning[left], [right]: amount };
+  }
+
+  return new Font(texture, {
+    glyphWidth,
+    glyphHeight,
+    lineHeight: bmfont.lineHeight || glyphHeight,
+    baseline: bmfont.base || glyphHeight,
+    ascent: metrics.ascent,
+    descent: metrics.descent,
+    capHeight: metrics.capHeight,
+    xHeight: metrics.xHeight,
+    missingGlyph:
+      metrics.missingGlyph === undefined
+        ? undefined
+        : getCharCode(metrics.missingGlyph),
+    startCharCode: layout.startCharCode,
+    advanceWidths,
+    xOffsets,
+    yOffsets,
+    codepage,
+    kerning,
+  });
+}
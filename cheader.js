@@ -0,0 +1,309 @@
+// @ts-check
+import { createTextureFromBits } from "./font.js";
+import { getGlyphBits, getInkBounds } from "./grid.js";
+
+/**
+ * @typedef {import("./font.js").Font} Font
+ *
+ * @typedef {"gfx" | "pages" | "rows"} CHeaderLayout
+ * - "gfx" is an Adafruit GFX `GFXfont`, with each glyph cropped to its pixels.
+ * - "pages" is a u8g2/u8x8 style dump, where each byte is a column of 8
+ * vertical pixels (least significant bit at the top).
+ * - "rows" is a plain row-major dump, where each row is padded to a whole
+ * number of bytes (most significant bit on the left).
+ */
+
+export const cHeaderFileExtension = ".h";
+
+/**
+ * Converts a font into a C header for drawing on microcontroller displays.
+ * The header includes a glyph for each char code from the font's first glyph
+ * to its last. Fonts with several pages have empty glyphs in the gaps between
+ * them.
+ * @param {Font} font
+ * @param {object} options
+ * @param {string} options.name
+ * @param {CHeaderLayout} [options.layout] Defaults to "gfx".
+ * @returns {string}
+ */
+export function exportCHeader(font, { name, layout = "gfx" }) {
+  let identifier = toIdentifier(name);
+  let guard = `${identifier.toUpperCase()}_H`;
+
+  let body =
+    layout === "gfx"
+      ? formatGFXFont(font, identifier)
+      : formatBitmapDump(font, identifier, layout);
+
+  return [
+    `// ${name} (generated by Tinyfonts)`,
+    `#ifndef ${guard}`,
+    `#define ${guard}`,
+    ``,
+    body,
+    ``,
+    `#endif // ${guard}`,
+    ``,
+  ].join("\n");
+}
+
+/**
+ * @param {string} name
+ */
+function toIdentifier(name) {
+  let identifier = name.replace(/\W+/g, "_").replace(/^_+|_+$/g, "");
+  // Names that start with an underscore are reserved in C
+  if (/^\d/.test(identifier)) identifier = `font_${identifier}`;
+  return identifier || "tinyfont";
+}
+
+/**
+ * Returns the char codes from the font's first glyph to its last.
+ * @param {Font} font
+ * @param {number} [maxCharCode] Leaves out the glyphs above this char code.
+ * @returns {number[]}
+ */
+function getCharCodeRange(font, maxCharCode = Infinity) {
+  let charCodes = font
+    .charCodes()
+    .filter((charCode) => charCode <= maxCharCode);
+  let first = charCodes[0] ?? font.startCharCode;
+  let last = charCodes[charCodes.length - 1] ?? first - 1;
+  return Array.from({ length: last - first + 1 }, (_, index) => first + index);
+}
+
+/**
+ * The highest char code that fits in a `GFXfont`, which stores its first and
+ * last char codes as 16 bit numbers.
+ */
+const MAX_GFX_CHAR_CODE = 0xffff;
+
+/**
+ * Formats a font as an Adafruit GFX `GFXfont`. Char codes above
+ * {@link MAX_GFX_CHAR_CODE} are left out, with a warning in the header.
+ * @param {Font} font
+ * @param {string} identifier
+ * @returns {string}
+ */
+function formatGFXFont(font, identifier) {
+  let { glyphWidth: width, glyphHeight: height } = font;
+  let charCodes = getCharCodeRange(font, MAX_GFX_CHAR_CODE);
+
+  /**
+   * @type {number[]}
+   */
+  let bitmap = [];
+
+  /**
+   * @type {string[]}
+   */
+  let glyphs = [];
+
+  for (let charCode of charCodes) {
+    let bits = getGlyphBits(font, charCode);
+    let pixels = createTextureFromBits(width, height, bits);
+    let cell = { x: 0, y: 0, width, height };
+    let bounds = getInkBounds(pixels, cell) ?? EMPTY_BOUNDS;
+
+    // GFX glyphs are positioned relative to the baseline
+    let xOffset = (font.xOffsets[charCode] ?? 0) + bounds.left;
+    let yOffset = (font.yOffsets[charCode] ?? 0) + bounds.top - font.baseline;
+    let offset = bitmap.length;
+
+    /**
+     * @type {boolean[]}
+     */
+    let glyphBits = [];
+
+    for (let y = bounds.top; y < bounds.top + bounds.height; y++) {
+      for (let x = bounds.left; x < bounds.left + bounds.width; x++) {
+        glyphBits.push(bits[x + y * width]);
+      }
+    }
+
+    bitmap.push(...packBits(glyphBits));
+
+    let fields = [
+      offset,
+      bounds.width,
+      bounds.height,
+      font.advance(charCode),
+      xOffset,
+      yOffset,
+    ];
+
+    glyphs.push(
+      `  { ${fields.join(", ")} }, // ${formatCharComment(charCode)}`,
+    );
+  }
+
+  // Empty initializers aren't allowed in C, so fonts without any pixels get a
+  // byte of padding
+  if (bitmap.length === 0) bitmap.push(0);
+
+  let first = charCodes[0] ?? Math.min(font.startCharCode, MAX_GFX_CHAR_CODE);
+  let last = charCodes[charCodes.length - 1] ?? first - 1;
+
+  let hasHighCharCodes = font
+    .charCodes()
+    .some((charCode) => charCode > MAX_GFX_CHAR_CODE);
+
+  let warning = hasHighCharCodes
+    ? [
+        `// Warning: GFXfont can't hold characters above U+FFFF, so they're left out.`,
+        ``,
+      ]
+    : [];
+
+  return [
+    ...warning,
+    `const uint8_t ${identifier}Bitmaps[] PROGMEM = {`,
+    formatValues(bitmap),
+    `};`,
+    ``,
+    `const GFXglyph ${identifier}Glyphs[] PROGMEM = {`,
+    `  // offset, width, height, xAdvance, xOffset, yOffset`,
+    ...glyphs,
+    `};`,
+    ``,
+    `const GFXfont ${identifier} PROGMEM = {`,
+    `  (uint8_t *)${identifier}Bitmaps,`,
+    `  (GFXglyph *)${identifier}Glyphs,`,
+    `  ${formatHex(first)}, ${formatHex(last)}, ${font.lineHeight}`,
+    `};`,
+  ].join("\n");
+}
+
+/**
+ * @param {Font} font
+ * @param {string} identifier
+ * @param {"pages" | "rows"} layout
+ * @returns {string}
+ */
+function formatBitmapDump(font, identifier, layout) {
+  let charCodes = getCharCodeRange(font);
+  let length = charCodes.length;
+  let first = charCodes[0] ?? font.startCharCode;
+  let { glyphWidth: width, glyphHeight: height } = font;
+  let prefix = identifier.toUpperCase();
+
+  let glyphs = charCodes.map((charCode) => {
+    let bits = getGlyphBits(font, charCode);
+    let bytes = layout === "pages" ? packPages(bits, width, height) : [];
+
+    if (layout === "rows") {
+      for (let y = 0; y < height; y++) {
+        bytes.push(...packBits(bits.slice(y * width, (y + 1) * width)));
+      }
+    }
+
+    return { charCode, bytes };
+  });
+
+  let bytesPerGlyph = glyphs[0]?.bytes.length ?? 0;
+
+  return [
+    `#include <stdint.h>`,
+    ``,
+    `#define ${prefix}_GLYPH_WIDTH ${width}`,
+    `#define ${prefix}_GLYPH_HEIGHT ${height}`,
+    `#define ${prefix}_LINE_HEIGHT ${font.lineHeight}`,
+    `#define ${prefix}_FIRST_CHAR ${formatHex(first)}`,
+    `#define ${prefix}_LAST_CHAR ${formatHex(first + length - 1)}`,
+    `#define ${prefix}_BYTES_PER_GLYPH ${bytesPerGlyph}`,
+    ``,
+    layout === "pages"
+      ? `// Each byte is a column of 8 pixels (LSB at the top), in pages of 8 rows.`
+      : `// Each row is padded to a whole number of bytes (MSB on the left).`,
+    `const uint8_t ${identifier}[${length}][${bytesPerGlyph}] = {`,
+    ...glyphs.map(
+      ({ charCode, bytes }) =>
+        `  { ${bytes.map(formatHex).join(", ")} }, // ${formatCharComment(charCode)}`,
+    ),
+    `};`,
+    ``,
+    `const int8_t ${identifier}Advances[${length}] = {`,
+    formatValues(
+      glyphs.map(({ charCode }) => font.advance(charCode)),
+      String,
+      16,
+    ),
+    `};`,
+  ].join("\n");
+}
+
+/**
+ * Packs bits into bytes, with the first bit in the most significant bit of the
+ * first byte.
+ * @param {boolean[]} bits
+ * @returns {number[]}
+ */
+function packBits(bits) {
+  let bytes = new Array(Math.ceil(bits.length / 8)).fill(0);
+
+  bits.forEach((bit, index) => {
+    if (bit) bytes[index >> 3] |= 0x80 >> (index & 7);
+  });
+
+  return bytes;
+}
+
+/**
+ * Packs a bitmap into pages of 8 rows, where each byte is one column of a
+ * page.
+ * @param {boolean[]} bits
+ * @param {number} width
+ * @param {number} height
+ * @returns {number[]}
+ */
+function packPages(bits, width, height) {
+  let pages = Math.ceil(height / 8);
+  let bytes = new Array(pages * width).fill(0);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (bits[x + y * width]) bytes[(y >> 3) * width + x] |= 1 << (y & 7);
+    }
+  }
+
+  return bytes;
+}
+
+/**
+ * The bounds of a glyph without any pixels.
+ */
+const EMPTY_BOUNDS = { left: 0, top: 0, width: 0, height: 0 };
+
+/**
+ * @param {number} value
+ */
+function formatHex(value) {
+  return `0x${value.toString(16).toUpperCase().padStart(2, "0")}`;
+}
+
+/**
+ * Formats an array of numbers as the lines of a C array initializer.
+ * @param {number[]} values
+ * @param {(value: number) => string} format
+ * @param {number} valuesPerLine
+ */
+function formatValues(values, format = formatHex, valuesPerLine = 12) {
+  let lines = [];
+
+  for (let i = 0; i < values.length; i += valuesPerLine) {
+    let line = values.slice(i, i + valuesPerLine).map(format);
+    lines.push(`  ${line.join(", ")},`);
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * @param {number} charCode
+ */
+function formatCharComment(charCode) {
+  let char = String.fromCodePoint(charCode);
+  let isControl = charCode <= 32 || (charCode >= 127 && charCode < 160);
+  let isPrintable = !isControl && char !== "\\";
+  return `${formatHex(charCode)}${isPrintable ? ` '${char}'` : ""}`;
+}
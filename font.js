@@ -3,15 +3,67 @@
 /**
  * @typedef {Record<string | number, number | undefined>} Table
  *
+ * @typedef {object} PixelData
+ * Raw RGBA pixels, in the same layout as `ImageData`.
+ * @prop {number} width
+ * @prop {number} height
+ * @prop {Uint8ClampedArray} data
+ *
+ * @typedef {HTMLImageElement | HTMLCanvasElement | ImageBitmap | OffscreenCanvas | PixelData} Texture
+ * The image that contains the font's glyphs. Fonts that use {@link PixelData}
+ * can be rendered without the DOM (e.g. in Node or a worker).
+ *
+ * @typedef {[r: number, g: number, b: number, a: number]} RGBA
+ * A colour with channels from 0 to 255.
+ *
+ * @typedef {HTMLCanvasElement | OffscreenCanvas} Canvas
+ *
+ * @typedef {CanvasRenderingContext2D | OffscreenCanvasRenderingContext2D} Context
+ *
+ * @typedef {Record<string | number, Table | undefined>} KerningTable
+ * A table of tables, where the outer keys are the left glyph in a pair, and
+ * the inner keys are the right glyph.
+ *
+ * @typedef {object} GlyphRect
+ * The rectangle in a font's texture that a glyph is drawn from.
+ * @prop {number} x
+ * @prop {number} y
+ * @prop {number} width
+ * @prop {number} height
+ * @prop {number} [left] Where the rectangle goes in the glyph's cell, for
+ * rectangles that have been trimmed to the glyph's pixels. Defaults to 0.
+ * @prop {number} [top] Defaults to 0.
+ *
+ * @typedef {Record<string | number, GlyphRect | undefined>} RectTable
+ *
  * @typedef {object} FontSettings
  * @prop {number} glyphWidth The width of each glyph in pixels.
  * @prop {number} glyphHeight The height of each glyph in pixels.
+ * @prop {number} [margin] The width in pixels of the border around the edge
+ * of the texture, before the first glyph. Defaults to 0.
+ * @prop {number} [spacing] The width in pixels of the gutters between the
+ * glyphs in the texture. Defaults to 0.
  * @prop {number} [lineHeight] The distance between lines in pixels.
  * Defaults to {@link glyphHeight}.
+ * @prop {number} [baseline] The distance from the top of the glyph cells to
+ * the baseline that the glyphs sit on. Defaults to {@link glyphHeight}.
+ * @prop {number} [ascent] How far the tallest glyphs reach above the
+ * baseline. Defaults to {@link baseline}.
+ * @prop {number} [descent] How far the lowest descenders reach below the
+ * baseline. Defaults to the rest of the glyph cell.
+ * @prop {number} [capHeight] The height of the capital letters above the
+ * baseline. Defaults to {@link ascent}.
+ * @prop {number} [xHeight] The height of the lowercase letters (without
+ * ascenders) above the baseline. Defaults to 70% of {@link capHeight}.
  * @prop {number} [startCharCode] The char code of the first glyph in the font.
  * Defaults to 32 (`" "`).
  * @prop {Table} [codepage] An optional codepage for mapping glyphs with codes
- * outside the font's normal range.
+ * outside the font's normal range. Each key is a character (or code point) and
+ * each value is the char code of the glyph that should be drawn for it. Map a
+ * code point to -1 to leave it out of the font, even if there's a glyph at
+ * its char code (which then only stands for the code points mapped onto it).
+ * @prop {number | string} [missingGlyph] The glyph (or its char code) to draw
+ * for characters that the font doesn't cover. Defaults to {@link startCharCode}.
  * @prop {Table} [advanceWidths] Optional table of advance widths. The advance
  * width is the number of pixels that the cursor will advance after drawing
  * specific glyphs.
@@ -21,8 +73,90 @@
  * @prop {Table} [yOffsets]
  * Optional table of offsets in pixels that describe how far to vertically
  * offset specific glyphs when drawing them.
+ * @prop {KerningTable} [kerning] Optional table of kerning pairs. Each value
+ * is the number of pixels to adjust the cursor by when the right glyph is
+ * drawn directly after the left one.
+ * @prop {RectTable} [glyphRects] Optional table of rectangles for fonts whose
+ * glyphs are packed into their texture (rather than arranged in a grid). If
+ * it's set, the font only has the glyphs in the table.
+ * @prop {string} [tintColor] A hex colour in the texture that is replaced by
+ * the text's colour, for textures with more than one colour (like glyphs with
+ * a baked-in outline). Pixels in other colours keep their own colours. By
+ * default, every pixel is drawn in the text's colour.
+ * @prop {FontPageSettings[]} [pages] Settings for the font's other texture
+ * pages, for fonts with more glyphs than fit in one range. The first page
+ * uses {@link startCharCode} and {@link glyphRects}, and each of the others
+ * needs its own texture.
+ *
+ * @typedef {object} FontPageSettings
+ * @prop {number} startCharCode The char code of the first glyph in the page.
+ * @prop {RectTable} [glyphRects] Optional table of rectangles for pages whose
+ * glyphs are packed into their texture.
+ */
+
+/**
+ * One of a font's textures, along with the range of glyphs that it contains.
+ * Each page has its own caches, so that pages can be replaced separately.
+ * @template {Texture} [T=Texture]
  */
+export class FontPage {
+  /**
+   * @type {T}
+   */
+  texture;
+
+  /**
+   * @type {number} The char code of the first glyph in the page.
+   */
+  startCharCode = 0;
+
+  /**
+   * @type {Record<number, GlyphRect | undefined> | undefined} The glyphs'
+   * rectangles in a packed texture.
+   */
+  glyphRects;
+
+  /**
+   * @internal
+   * @type {Record<string, Canvas>}
+   */
+  textureCache = {};
+
+  /**
+   * @internal
+   * @type {PixelData | undefined} The texture's pixels, for rendering without
+   * a canvas.
+   */
+  texturePixels;
+
+  /**
+   * @internal
+   * @type {Record<string, PixelData>} Copies of the texture with synthetic
+   * styles applied, keyed by style and glyph size.
+   */
+  styledPixels = {};
+
+  /**
+   * @internal
+   * @type {Texture | undefined} The texture that the cache was created from.
+   */
+  textureCacheSource;
+
+  /**
+   * @param {T} texture
+   * @param {number} startCharCode
+   * @param {RectTable} [glyphRects]
+   */
+  constructor(texture, startCharCode, glyphRects) {
+    this.texture = texture;
+    this.startCharCode = startCharCode;
+    this.glyphRects = glyphRects && normalizeGlyphKeys(glyphRects);
+  }
+}
 
+/**
+ * @template {Texture} [T=Texture]
+ */
 export class Font {
   /**
    * @type {number} The width of each glyph (in pixels).
@@ -34,15 +168,46 @@ export class Font {
    */
   glyphHeight = 0;
 
+  /**
+   * @type {number} The border around the edge of the texture (in pixels).
+   */
+  margin = 0;
+
+  /**
+   * @type {number} The gutter between each glyph in the texture (in pixels).
+   */
+  spacing = 0;
+
   /**
    * @type {number} The distance between lines (in pixels).
    */
   lineHeight = 0;
 
   /**
-   * @type {number} The char code of the first glyph in the font.
+   * @type {number} The distance from the top of the glyph cells to the
+   * baseline (in pixels).
    */
-  startCharCode = 0;
+  baseline = 0;
+
+  /**
+   * @type {number} How far the tallest glyphs reach above the baseline.
+   */
+  ascent = 0;
+
+  /**
+   * @type {number} How far the lowest descenders reach below the baseline.
+   */
+  descent = 0;
+
+  /**
+   * @type {number} The height of the capital letters above the baseline.
+   */
+  capHeight = 0;
+
+  /**
+   * @type {number} The height of the lowercase letters above the baseline.
+   */
+  xHeight = 0;
 
   /**
    * @type {Record<number, number | undefined>} Optional codepage that
@@ -51,6 +216,12 @@ export class Font {
    */
   codepage = {};
 
+  /**
+   * @type {number | undefined} The char code of the glyph that is drawn for
+   * characters that the font doesn't cover.
+   */
+  missingGlyph;
+
   /**
    * @type {Record<number, number | undefined>}
    */
@@ -67,30 +238,102 @@ export class Font {
   yOffsets = {};
 
   /**
-   * @type {HTMLImageElement}
+   * @type {Record<number, Record<number, number | undefined> | undefined>}
    */
-  texture;
+  kerning = {};
 
   /**
-   * @internal
-   * @type {Record<string, HTMLCanvasElement>}
+   * @type {string | undefined} The colour in the texture that is replaced by
+   * the text's colour. Every pixel is replaced if this isn't set.
    */
-  textureCache = {};
+  tintColor;
 
   /**
-   * @param {HTMLImageElement} texture
+   * @type {FontPage<T>[]} The font's textures. Most fonts only have one page,
+   * but each page covers its own range of glyphs.
+   */
+  pages = [];
+
+  /**
+   * @param {T | T[]} texture The font's texture, or one for each of its pages.
    * @param {FontSettings} settings
    */
   constructor(texture, settings) {
-    this.texture = texture;
+    let textures = /** @type {T[]} */ (
+      Array.isArray(texture) ? texture : [texture]
+    );
+
+    let [first, ...rest] = textures;
+    let pages = settings.pages ?? [];
+
+    if (rest.length !== pages.length) {
+      throw new Error("Fonts need a texture for each of their pages!");
+    }
+
+    this.pages = [
+      new FontPage(first, settings.startCharCode ?? 32, settings.glyphRects),
+      ...pages.map(
+        (page, index) =>
+          new FontPage(rest[index], page.startCharCode, page.glyphRects),
+      ),
+    ];
+
     this.glyphWidth = settings.glyphWidth;
     this.glyphHeight = settings.glyphHeight;
+    this.margin = settings.margin ?? 0;
+    this.spacing = settings.spacing ?? 0;
     this.lineHeight = settings.lineHeight ?? settings.glyphHeight;
-    this.startCharCode = settings.startCharCode ?? 32;
+    this.baseline = settings.baseline ?? settings.glyphHeight;
+    this.ascent = settings.ascent ?? this.baseline;
+    this.descent =
+      settings.descent ?? Math.max(0, settings.glyphHeight - this.baseline);
+    this.capHeight = settings.capHeight ?? this.ascent;
+    this.xHeight = settings.xHeight ?? Math.round(this.capHeight * 0.7);
     this.codepage = normalizeGlyphKeys(settings.codepage ?? {});
+    this.missingGlyph = normalizeGlyph(settings.missingGlyph);
     this.advanceWidths = normalizeGlyphKeys(settings.advanceWidths ?? {});
     this.xOffsets = normalizeGlyphKeys(settings.xOffsets ?? {});
     this.yOffsets = normalizeGlyphKeys(settings.yOffsets ?? {});
+    this.kerning = normalizeKerningKeys(settings.kerning ?? {});
+    this.tintColor = settings.tintColor;
+  }
+
+  /**
+   * The first page's texture.
+   * @returns {T}
+   */
+  get texture() {
+    return this.pages[0].texture;
+  }
+
+  /**
+   * @param {T} texture
+   */
+  set texture(texture) {
+    this.pages[0].texture = texture;
+  }
+
+  /**
+   * The char code of the first glyph in the first page.
+   * @returns {number}
+   */
+  get startCharCode() {
+    return this.pages[0].startCharCode;
+  }
+
+  /**
+   * @param {number} charCode
+   */
+  set startCharCode(charCode) {
+    this.pages[0].startCharCode = charCode;
+  }
+
+  /**
+   * The rectangles of the glyphs in the first page, if it's packed.
+   * @returns {Record<number, GlyphRect | undefined> | undefined}
+   */
+  get glyphRects() {
+    return this.pages[0].glyphRects;
   }
 
   /**
@@ -100,19 +343,258 @@ export class Font {
     return this.advanceWidths[charCode] ?? this.glyphWidth;
   }
 
-  columns() {
-    return Math.ceil(this.texture.width / this.glyphWidth);
+  /**
+   * Returns the kerning adjustment for a pair of glyphs.
+   * @param {number | undefined} left The char code of the left glyph.
+   * @param {number} right The char code of the right glyph.
+   */
+  kern(left, right) {
+    if (left === undefined) return 0;
+    return this.kerning[left]?.[right] ?? 0;
+  }
+
+  /**
+   * Resolves a code point to the char code of the glyph that should be drawn
+   * for it, mapping through the codepage and falling back to the missing glyph
+   * for characters outside the font's texture.
+   * @param {number} codePoint
+   * @returns {number}
+   */
+  resolve(codePoint) {
+    let code = this.codepage[codePoint] ?? codePoint;
+    return this.hasGlyph(code)
+      ? code
+      : (this.missingGlyph ?? this.startCharCode);
+  }
+
+  /**
+   * Checks whether the font has a glyph for a code point (either in its
+   * normal range or through its codepage).
+   * @param {number} codePoint
+   */
+  covers(codePoint) {
+    return this.hasGlyph(this.codepage[codePoint] ?? codePoint);
+  }
+
+  /**
+   * Checks whether one of the font's pages has a glyph for a given char code.
+   * @param {number} charCode
+   * @param {number} [page] Only check this page.
+   * @returns {boolean}
+   */
+  hasGlyph(charCode, page) {
+    if (page === undefined) {
+      return this.pages.some((_, index) => this.hasGlyph(charCode, index));
+    }
+
+    let { glyphRects, startCharCode } = this.pages[page];
+    if (glyphRects) return glyphRects[charCode] !== undefined;
+    let index = charCode - startCharCode;
+    return index >= 0 && index < this.glyphCount(page);
+  }
+
+  /**
+   * Finds the page that has a given glyph. Glyphs that aren't in any of the
+   * pages belong to the first one (outside of its texture).
+   * @param {number} charCode
+   * @returns {number} The index of the page.
+   */
+  pageIndex(charCode) {
+    let index = this.pages.findIndex((_, page) =>
+      this.hasGlyph(charCode, page),
+    );
+
+    return Math.max(0, index);
+  }
+
+  /**
+   * Returns the number of glyphs from a page's start char code to the last
+   * glyph in its texture.
+   * @param {number} [page]
+   */
+  glyphCount(page = 0) {
+    let { glyphRects, startCharCode } = this.pages[page];
+    if (!glyphRects) return this.columns(page) * this.rows(page);
+    let charCodes = Object.keys(glyphRects).map(Number);
+    return Math.max(0, ...charCodes.map((code) => code - startCharCode + 1));
+  }
+
+  /**
+   * Returns the char codes of the glyphs in a page, or in every page, in
+   * order.
+   * @param {number} [page]
+   * @returns {number[]}
+   */
+  charCodes(page) {
+    if (page === undefined) {
+      let charCodes = this.pages.flatMap((_, index) => this.charCodes(index));
+      return Array.from(new Set(charCodes)).sort((a, b) => a - b);
+    }
+
+    let { startCharCode } = this.pages[page];
+    let length = this.glyphCount(page);
+
+    return Array.from({ length }, (_, index) => startCharCode + index).filter(
+      (charCode) => this.hasGlyph(charCode, page),
+    );
+  }
+
+  /**
+   * Returns the rectangle that contains a given glyph in its page's texture.
+   * Glyphs in packed textures that aren't in their page's rectangles have an
+   * empty rectangle.
+   * @param {number} charCode
+   * @param {number} [page] Defaults to the page that has the glyph.
+   * @returns {GlyphRect}
+   */
+  glyphRect(charCode, page = this.pageIndex(charCode)) {
+    let { glyphRects, startCharCode } = this.pages[page];
+
+    if (glyphRects) {
+      return glyphRects[charCode] ?? { x: 0, y: 0, width: 0, height: 0 };
+    }
+
+    let index = charCode - startCharCode;
+    let columns = this.columns(page);
+    let column = index % columns;
+    let row = Math.floor(index / columns);
+
+    return {
+      x: this.margin + column * (this.glyphWidth + this.spacing),
+      y: this.margin + row * (this.glyphHeight + this.spacing),
+      width: this.glyphWidth,
+      height: this.glyphHeight,
+    };
+  }
+
+  /**
+   * @param {number} [page]
+   */
+  columns(page = 0) {
+    let { texture } = this.pages[page];
+    let width = texture.width - this.margin * 2 + this.spacing;
+    return Math.ceil(width / (this.glyphWidth + this.spacing));
+  }
+
+  /**
+   * @param {number} [page]
+   */
+  rows(page = 0) {
+    let { texture } = this.pages[page];
+    let height = texture.height - this.margin * 2 + this.spacing;
+    return Math.ceil(height / (this.glyphHeight + this.spacing));
+  }
+}
+
+/**
+ * @typedef {object} StackGlyph
+ * A glyph from one of the fonts in a {@link FontStack}.
+ * @prop {Font} font
+ * @prop {number} code The char code of the glyph in its font.
+ */
+
+/**
+ * A list of fonts that are treated as one, where each character is drawn with
+ * the first font that covers it. The fonts' glyphs share a baseline (the
+ * lowest of their baselines) and lines use the tallest line height.
+ */
+export class FontStack {
+  /**
+   * @type {Font[]}
+   */
+  fonts;
+
+  /**
+   * @type {number} The distance between lines (in pixels).
+   */
+  lineHeight;
+
+  /**
+   * @type {number} The distance from the top of a line to the baseline.
+   */
+  baseline;
+
+  /**
+   * @type {number} How far the tallest glyphs in any of the fonts reach above
+   * the baseline.
+   */
+  ascent;
+
+  /**
+   * @type {number} How far the lowest descenders in any of the fonts reach
+   * below the baseline.
+   */
+  descent;
+
+  /**
+   * @type {number} The first font's x-height.
+   */
+  xHeight;
+
+  /**
+   * @param {Font[]} fonts The fonts in order of preference.
+   */
+  constructor(fonts) {
+    if (fonts.length === 0) {
+      throw new Error("Font stacks need at least one font!");
+    }
+
+    this.fonts = fonts;
+    this.lineHeight = Math.max(...fonts.map((font) => font.lineHeight));
+    this.baseline = Math.max(...fonts.map((font) => font.baseline));
+    this.ascent = Math.max(...fonts.map((font) => font.ascent));
+    this.descent = Math.max(...fonts.map((font) => font.descent));
+    this.xHeight = fonts[0].xHeight;
+  }
+
+  /**
+   * Finds the glyph to draw for a code point. Characters that none of the
+   * fonts cover are drawn with the first font's missing glyph.
+   * @param {number} codePoint
+   * @returns {StackGlyph}
+   */
+  resolve(codePoint) {
+    let font =
+      this.fonts.find((font) => font.covers(codePoint)) ?? this.fonts[0];
+
+    return { font, code: font.resolve(codePoint) };
+  }
+
+  /**
+   * Returns the kerning adjustment for a pair of glyphs. Glyphs from different
+   * fonts are never kerned.
+   * @param {StackGlyph | undefined} left
+   * @param {StackGlyph} right
+   */
+  kern(left, right) {
+    if (left?.font !== right.font) return 0;
+    return right.font.kern(left.code, right.code);
   }
 
-  rows() {
-    return Math.ceil(this.texture.height / this.glyphHeight);
+  /**
+   * Returns how far down a font's glyphs are moved to sit on the baseline.
+   * @param {Font} font
+   */
+  offset(font) {
+    return this.baseline - font.baseline;
   }
 }
 
+/**
+ * Treats a single font as a stack, so that the rendering functions can handle
+ * both in the same way.
+ * @param {Font | FontStack} font
+ * @returns {FontStack}
+ */
+function toFontStack(font) {
+  return font instanceof FontStack ? font : new FontStack([font]);
+}
+
 /**
  * Converts any non-numeric keys into their respective character code (glyph).
- * @param {Table} table
- * @returns {Table}
+ * @template T
+ * @param {Record<string | number, T>} table
+ * @returns {Record<string | number, T>}
  */
 function normalizeGlyphKeys(table) {
   return Object.fromEntries(
@@ -121,163 +603,1940 @@ function normalizeGlyphKeys(table) {
       if (isFinite(glyph)) {
         return [key, value];
       } else {
-        return [key.charCodeAt(0), value];
+        return [key.codePointAt(0), value];
       }
     }),
   );
 }
 
 /**
- * @param {Font} font
- * @param {string} color
- * @returns {HTMLCanvasElement}
+ * Converts the keys at both levels of a kerning table into char codes.
+ * @param {KerningTable} table
+ * @returns {Record<number, Table>}
  */
-export function getColoredTexture(font, color) {
-  let canvas = font.textureCache[color];
+function normalizeKerningKeys(table) {
+  let pairs = normalizeGlyphKeys(
+    /** @type {Table} */ (/** @type {unknown} */ (table)),
+  );
 
-  if (!canvas) {
-    canvas = font.textureCache[color] = document.createElement("canvas");
+  return Object.fromEntries(
+    Object.entries(pairs).map(([key, value]) => [
+      key,
+      normalizeGlyphKeys(/** @type {Table} */ (/** @type {unknown} */ (value))),
+    ]),
+  );
+}
 
-    let ctx = /** @type {CanvasRenderingContext2D} */ (canvas.getContext("2d"));
+/**
+ * Converts a glyph that may be specified as a character into its char code.
+ * @param {number | string | undefined} glyph
+ * @returns {number | undefined}
+ */
+function normalizeGlyph(glyph) {
+  return typeof glyph === "string" ? glyph.codePointAt(0) : glyph;
+}
 
-    function draw() {
-      canvas.width = font.texture.width;
-      canvas.height = font.texture.height;
-      ctx.drawImage(font.texture, 0, 0);
-      ctx.globalCompositeOperation = "source-atop";
-      ctx.fillStyle = color;
-      ctx.fillRect(0, 0, canvas.width, canvas.height);
-    }
+/**
+ * Creates a texture from 1-bit pixel data, where each filled pixel becomes
+ * opaque black.
+ * @param {number} width
+ * @param {number} height
+ * @param {ArrayLike<number | boolean>} bits One value for each pixel, one row
+ * at a time.
+ * @returns {PixelData}
+ */
+export function createTextureFromBits(width, height, bits) {
+  let pixels = createPixelData(width, height);
 
-    if (font.texture.complete && font.texture.naturalWidth > 0) {
-      draw();
-    } else {
-      font.texture.decode().then(draw);
-    }
+  for (let i = 0; i < width * height; i++) {
+    if (bits[i]) pixels.data[i * 4 + 3] = 255;
   }
 
-  return canvas;
+  return pixels;
+}
+
+/**
+ * Creates an empty (transparent) buffer of pixels, for rendering text into.
+ * @param {number} width
+ * @param {number} height
+ * @returns {PixelData}
+ */
+export function createPixelData(width, height) {
+  return { width, height, data: new Uint8ClampedArray(width * height * 4) };
+}
+
+/**
+ * @param {Texture} texture
+ * @returns {texture is PixelData}
+ */
+function isPixelData(texture) {
+  return "data" in texture;
+}
+
+/**
+ * Creates a canvas, preferring an `OffscreenCanvas` so that it works in
+ * workers too.
+ * @param {number} width
+ * @param {number} height
+ * @returns {{ canvas: Canvas, ctx: Context }}
+ */
+function createCanvas(width, height) {
+  let canvas =
+    typeof OffscreenCanvas === "undefined"
+      ? document.createElement("canvas")
+      : new OffscreenCanvas(width, height);
+
+  canvas.width = width;
+  canvas.height = height;
+
+  let ctx = /** @type {Context | null} */ (canvas.getContext("2d"));
+  if (!ctx) throw new Error("Couldn't create canvas!");
+  return { canvas, ctx };
+}
+
+/**
+ * Discards a page's cached textures and pixels if its texture has been
+ * replaced since they were created.
+ * @param {FontPage} page
+ */
+function validateTextureCache(page) {
+  if (page.textureCacheSource !== page.texture) {
+    page.textureCache = {};
+    page.texturePixels = undefined;
+    page.styledPixels = {};
+    page.textureCacheSource = page.texture;
+  }
 }
 
 /**
- * @param {CanvasRenderingContext2D} ctx
+ * Reads the pixels from one of a font's textures. Textures that aren't
+ * already {@link PixelData} are read with a canvas.
  * @param {Font} font
- * @param {string} text
- * @param {number} x
- * @param {number} y
- * @param {string} color
+ * @param {number} [page] The index of the texture's page.
+ * @returns {PixelData}
  */
-export function drawText(ctx, font, text, x, y, color) {
-  let rows = Math.floor(font.texture.width / font.glyphWidth);
-  let tx = x;
-  let ty = y;
-
-  for (let i = 0; i < text.length; i++) {
-    let code = text.charCodeAt(i);
-    let index = code - font.startCharCode;
-    let xOffset = font.xOffsets[code] ?? 0;
-    let yOffset = font.yOffsets[code] ?? 0;
-    let col = index % rows;
-    let row = (index / rows) | 0;
-    let sw = font.glyphWidth;
-    let sh = font.glyphHeight;
-    let sx = col * sw;
-    let sy = row * sh;
-    let dx = tx + xOffset;
-    let dy = ty + yOffset;
-    let advance = font.advance(code);
-    let texture = color ? getColoredTexture(font, color) : font.texture;
-    ctx.drawImage(texture, sx, sy, sw, sh, dx, dy, sw, sh);
-
-    if (text[i] !== "\n") {
-      tx += advance;
+export function getTexturePixels(font, page = 0) {
+  let fontPage = font.pages[page];
+  validateTextureCache(fontPage);
+
+  if (!fontPage.texturePixels) {
+    let { texture } = fontPage;
+
+    if (isPixelData(texture)) {
+      fontPage.texturePixels = texture;
     } else {
-      tx = x;
-      ty += font.lineHeight;
+      let { ctx } = createCanvas(texture.width, texture.height);
+      ctx.drawImage(texture, 0, 0);
+      fontPage.texturePixels = ctx.getImageData(
+        0,
+        0,
+        texture.width,
+        texture.height,
+      );
     }
   }
+
+  return fontPage.texturePixels;
 }
 
 /**
+ * Returns a version of one of the font's textures that can be drawn to a
+ * canvas.
  * @param {Font} font
- * @param {string} text
- * @returns {{ width: number, height: number }}
+ * @param {string} [style] A synthetic style from {@link getStyleName}.
+ * @param {number} [page]
+ * @returns {CanvasImageSource}
  */
-export function measureText(font, text) {
-  let width = 0;
-  let lines = 1;
-  let lineWidth = 0;
+function getDrawableTexture(font, style = "", page = 0) {
+  let fontPage = font.pages[page];
+  validateTextureCache(fontPage);
 
-  for (let i = 0; i < text.length; i++) {
-    let code = text.charCodeAt(i);
+  let { texture } = fontPage;
+  if (!style && !isPixelData(texture)) return texture;
 
-    if (text[i] === "\n") {
-      width = Math.max(width, lineWidth);
-      lineWidth = 0;
-      lines += 1;
-      continue;
-    }
+  let key = style && getStyleCacheKey(font, style);
+  let canvas = fontPage.textureCache[key];
 
-    let advance = font.advanceWidths[code] ?? font.glyphWidth;
-    lineWidth += advance;
+  if (!canvas) {
+    let pixels = getStyledTexturePixels(font, style, page);
+    let created = createCanvas(pixels.width, pixels.height);
+    let imageData = created.ctx.createImageData(pixels.width, pixels.height);
+    imageData.data.set(pixels.data);
+    created.ctx.putImageData(imageData, 0, 0);
+    canvas = fontPage.textureCache[key] = created.canvas;
   }
 
-  return {
-    width: Math.max(width, lineWidth),
-    height: lines * font.lineHeight,
-  };
+  return canvas;
 }
 
 /**
- * Wrap a string of text onto multiple lines that attempt to fit within a given
- * width.
- * @param {Font} font The font to measure the text with.
- * @param {string} text The text to wrap.
- * @param {number} maxWidth The max width in pixels.
- * @returns {string[]} An array of wrapped lines of text.
+ * Returns a copy of one of the font's textures in a single colour. Copies are
+ * cached on each page, so they're only created once per colour.
+ * @param {Font} font
+ * @param {string} color
+ * @param {string} [style] A synthetic style from {@link getStyleName}.
+ * @param {number} [page]
+ * @returns {Canvas}
+ */
+export function getColoredTexture(font, color, style = "", page = 0) {
+  let fontPage = font.pages[page];
+  validateTextureCache(fontPage);
+
+  let key = style ? `${getStyleCacheKey(font, style)} ${color}` : color;
+  let canvas = fontPage.textureCache[key];
+
+  if (!canvas) {
+    let { texture } = fontPage;
+    let created = createCanvas(texture.width, texture.height);
+    let ctx = created.ctx;
+    canvas = fontPage.textureCache[key] = created.canvas;
+
+    function draw() {
+      // Images that were still loading have their real size by now
+      let { width, height } = getStyledTextureSize(font, style, page);
+      created.canvas.width = width;
+      created.canvas.height = height;
+      ctx.drawImage(getDrawableTexture(font, style, page), 0, 0);
+      ctx.globalCompositeOperation = "source-atop";
+      ctx.fillStyle = color;
+      ctx.fillRect(0, 0, width, height);
+    }
+
+    if (isLoadingImage(texture)) {
+      texture.decode().then(draw);
+    } else {
+      draw();
+    }
+  }
+
+  return canvas;
+}
+
+/**
+ * Returns a copy of one of the font's textures where the pixels in the font's
+ * {@link Font.tintColor} are replaced by a colour, and the other pixels keep
+ * their own colours. Fonts without a tint colour are entirely replaced.
+ * @param {Font} font
+ * @param {string} color
+ * @param {string} [style] A synthetic style from {@link getStyleName}.
+ * @param {number} [page]
+ * @returns {CanvasImageSource}
+ */
+function getTintedTexture(font, color, style = "", page = 0) {
+  let { tintColor } = font;
+  if (!tintColor) return getColoredTexture(font, color, style, page);
+
+  let fontPage = font.pages[page];
+  validateTextureCache(fontPage);
+
+  let key = `${style && getStyleCacheKey(font, style)} ${color} on ${tintColor}`;
+  let canvas = fontPage.textureCache[key];
+
+  if (!canvas) {
+    let { texture } = fontPage;
+    let created = createCanvas(texture.width, texture.height);
+    canvas = fontPage.textureCache[key] = created.canvas;
+
+    function draw() {
+      let source = getStyledTexturePixels(font, style, page);
+      let imageData = created.ctx.createImageData(source.width, source.height);
+      let { data } = imageData;
+      let match = parseHexColor(/** @type {string} */ (tintColor));
+      let [r, g, b, a] = getColorRGBA(color);
+      data.set(source.data);
+
+      for (let i = 0; i < data.length; i += 4) {
+        if (isTintPixel(data, i, match)) {
+          data[i] = r;
+          data[i + 1] = g;
+          data[i + 2] = b;
+          data[i + 3] = (data[i + 3] * a) / 255;
+        }
+      }
+
+      created.canvas.width = source.width;
+      created.canvas.height = source.height;
+      created.ctx.putImageData(imageData, 0, 0);
+    }
+
+    if (isLoadingImage(texture)) {
+      texture.decode().then(draw);
+    } else {
+      draw();
+    }
+  }
+
+  return canvas;
+}
+
+/**
+ * Checks whether a pixel is in a font's tint colour. Its alpha is ignored, so
+ * that anti-aliased edges are tinted too.
+ * @param {Uint8ClampedArray} data
+ * @param {number} index
+ * @param {RGBA} tint
+ */
+function isTintPixel(data, index, tint) {
+  return (
+    data[index + 3] > 0 &&
+    data[index] === tint[0] &&
+    data[index + 1] === tint[1] &&
+    data[index + 2] === tint[2]
+  );
+}
+
+/**
+ * Converts any CSS colour to RGBA by drawing it to a canvas.
+ * @param {string} color
+ * @returns {RGBA}
+ */
+function getColorRGBA(color) {
+  let { ctx } = createCanvas(1, 1);
+  ctx.fillStyle = color;
+  ctx.fillRect(0, 0, 1, 1);
+  let [r, g, b, a] = ctx.getImageData(0, 0, 1, 1).data;
+  return [r, g, b, a];
+}
+
+/**
+ * Checks whether a texture is an image that hasn't finished loading yet.
+ * @param {Texture} texture
+ * @returns {texture is HTMLImageElement}
+ */
+function isLoadingImage(texture) {
+  return (
+    typeof HTMLImageElement !== "undefined" &&
+    texture instanceof HTMLImageElement &&
+    !(texture.complete && texture.naturalWidth > 0)
+  );
+}
+
+/**
+ * @typedef {object} SyntheticStyle
+ * Styles that are generated from the font's regular glyphs, for fonts that
+ * don't have a bold or italic version.
+ * @prop {boolean} [bold] Smears each glyph one pixel to the right, and widens
+ * its advance to match.
+ * @prop {boolean} [italic] Slants each glyph by moving its rows to the right,
+ * a pixel for every few rows above the baseline (and to the left below it).
+ * @prop {boolean} [underline] Draws a line under the text.
+ * @prop {boolean} [strikethrough] Draws a line through the middle of the
+ * text.
+ */
+
+/**
+ * The number of rows between each step of an italic glyph's slant.
+ */
+const ITALIC_SLANT = 3;
+
+/**
+ * The number of cells in each row of a styled texture.
+ */
+const STYLED_TEXTURE_COLUMNS = 16;
+
+/**
+ * Returns the name of the synthetic style that glyphs are drawn with (e.g.
+ * "bold italic"), or an empty string for the font's own glyphs.
+ * @param {SyntheticStyle} style
+ */
+function getStyleName({ bold, italic }) {
+  return [bold && "bold", italic && "italic"].filter(Boolean).join(" ");
+}
+
+/**
+ * Styled textures depend on the grid of glyphs and the baseline, which can
+ * change without the texture changing.
+ * @param {Font} font
+ * @param {string} style
+ */
+function getStyleCacheKey(font, style) {
+  let { glyphWidth, glyphHeight, margin, spacing, baseline } = font;
+  return `${style} ${glyphWidth}x${glyphHeight}+${margin}+${spacing}@${baseline}`;
+}
+
+/**
+ * Works out how a synthetic style changes the shape of a font's glyphs.
+ * @param {Font} font
+ * @param {string} style
+ */
+function getStyleMetrics(font, style) {
+  let bold = style.includes("bold") ? 1 : 0;
+  let italic = style.includes("italic");
+
+  // How far each row moves to the right. Rows lean away from the baseline in
+  // both directions, so descenders move left.
+  let shifts = Array.from({ length: font.glyphHeight }, (_, row) => {
+    if (!italic) return 0;
+    let above = font.baseline - 1 - row;
+    return above >= 0
+      ? Math.floor(above / ITALIC_SLANT)
+      : -Math.floor((-above - 1) / ITALIC_SLANT);
+  });
+
+  // Glyphs are padded on the left if any of their rows move left
+  let left = Math.max(0, ...shifts.map((shift) => -shift));
+  let right = Math.max(0, ...shifts);
+  let cellWidth = font.glyphWidth + left + right + bold;
+
+  return { bold, shifts, left, cellWidth };
+}
+
+/**
+ * @param {Font} font
+ * @param {string} style
+ * @param {number} page
+ */
+function getStyledTextureSize(font, style, page) {
+  let { texture } = font.pages[page];
+  if (!style) return { width: texture.width, height: texture.height };
+
+  let { cellWidth } = getStyleMetrics(font, style);
+  let rows = Math.ceil(font.glyphCount(page) / STYLED_TEXTURE_COLUMNS);
+
+  return {
+    width: STYLED_TEXTURE_COLUMNS * cellWidth,
+    height: Math.max(1, rows) * font.glyphHeight,
+  };
+}
+
+/**
+ * Returns the rectangle that contains a glyph in its page's styled texture.
+ * Styled textures arrange every glyph (even packed ones) in a grid of whole
+ * cells, which are wider than the font's cells to make room for the style.
+ * @param {Font} font
+ * @param {number} charCode
+ * @param {string} style
+ * @returns {GlyphRect}
+ */
+function getStyledGlyphRect(font, charCode, style) {
+  if (!style) return font.glyphRect(charCode);
+
+  let { cellWidth } = getStyleMetrics(font, style);
+  let { startCharCode } = font.pages[font.pageIndex(charCode)];
+  let index = charCode - startCharCode;
+  let column = index % STYLED_TEXTURE_COLUMNS;
+  let row = Math.floor(index / STYLED_TEXTURE_COLUMNS);
+
+  return {
+    x: column * cellWidth,
+    y: row * font.glyphHeight,
+    width: cellWidth,
+    height: font.glyphHeight,
+  };
+}
+
+/**
+ * Reads the pixels from a copy of one of a font's textures that has a
+ * synthetic style applied to each glyph. Glyphs with a
+ * {@link LayoutGlyph.style} have rectangles in this texture, rather than the
+ * font's own texture.
+ * @param {Font} font
+ * @param {string} style The glyph's style (e.g. "bold italic").
+ * @param {number} [page] The glyph's page.
+ * @returns {PixelData}
+ */
+export function getStyledTexturePixels(font, style, page = 0) {
+  let source = getTexturePixels(font, page);
+  if (!style) return source;
+
+  let fontPage = font.pages[page];
+  let key = getStyleCacheKey(font, style);
+  let pixels = fontPage.styledPixels[key];
+  if (pixels) return pixels;
+
+  let { bold, shifts, left } = getStyleMetrics(font, style);
+  let { width, height } = getStyledTextureSize(font, style, page);
+  pixels = fontPage.styledPixels[key] = createPixelData(width, height);
+
+  // Bold glyphs draw a copy one pixel to the right first, so that the
+  // original pixels are on top
+  let passes = bold ? [1, 0] : [0];
+
+  for (let charCode of font.charCodes(page)) {
+    let rect = font.glyphRect(charCode, page);
+    let cell = getStyledGlyphRect(font, charCode, style);
+    let { left: cellX = 0, top: cellY = 0 } = rect;
+
+    for (let pass of passes) {
+      for (let y = 0; y < rect.height; y++) {
+        let sy = rect.y + y;
+        let ty = cellY + y;
+        if (sy >= source.height || ty >= font.glyphHeight) break;
+        let shift = left + shifts[ty] + pass;
+
+        for (let x = 0; x < rect.width; x++) {
+          let sx = rect.x + x;
+          let tx = cellX + x;
+          if (sx >= source.width || tx >= font.glyphWidth) break;
+
+          let si = (sx + sy * source.width) * 4;
+          if (source.data[si + 3] === 0) continue;
+
+          let ti = (cell.x + tx + shift + (cell.y + ty) * width) * 4;
+          pixels.data.set(source.data.subarray(si, si + 4), ti);
+        }
+      }
+    }
+  }
+
+  return pixels;
+}
+
+/**
+ * @typedef {"top" | "middle" | "alphabetic" | "bottom"} TextBaseline
+ * "top" is the top of the font's ascent, "alphabetic" is the baseline, and
+ * "bottom" is the bottom of the font's descent. "middle" is halfway between
+ * the top and the bottom.
+ */
+
+/**
+ * @typedef {object} TextOptions
+ * @prop {number} [letterSpacing] Extra pixels between each pair of glyphs.
+ * @prop {number} [lineSpacing] Extra pixels between each pair of lines.
+ * @prop {number} [tabSize] The distance between tab stops, as a number of
+ * spaces. Defaults to 4.
+ * @prop {TextBaseline} [textBaseline] Which part of the first line of text
+ * the y position refers to, like the canvas property with the same name. If
+ * it isn't set, the y position is the top of the glyph cells (which is
+ * higher than "top" for fonts whose ascent doesn't reach the top).
+ * @prop {number} [scale] A whole number to scale the text up by. Glyphs are
+ * scaled without smoothing, and the font's metrics, spacing and effect
+ * offsets are scaled with them. Defaults to 1.
+ * @prop {boolean} [bold] Draws the text with synthetic bold glyphs.
+ * @prop {boolean} [italic] Draws the text with synthetic italic glyphs.
+ * @prop {boolean} [underline] Draws a line under the text.
+ * @prop {boolean} [strikethrough] Draws a line through the text.
+ * @prop {boolean} [markup] Whether to read colour tags in the text. `{red}`
+ * (or any other CSS colour) changes the colour of the text after it, `{/}`
+ * changes it back, and `{{` is a literal "{". The tags aren't drawn, and
+ * indexes in layouts are indexes in the text without its tags. Without a
+ * canvas (e.g. in Node), `renderText` only understands hex colours, and text
+ * in other colours is drawn in the text's colour.
+ *
+ * @typedef {object} LayoutGlyph
+ * @prop {Font} font The font that the glyph is drawn with.
+ * @prop {number} code The char code of the glyph.
+ * @prop {string} char The character that the glyph was drawn for.
+ * @prop {number} index The index of the character in the text.
+ * @prop {number} x Where the glyph should be drawn (including its offsets).
+ * @prop {number} y
+ * @prop {number} cursor The position of the cursor before the glyph.
+ * @prop {number} advance How far the cursor moves after the glyph.
+ * @prop {number} page The index of the font page whose texture the glyph is
+ * drawn from.
+ * @prop {GlyphRect} rect The glyph's rectangle in its page's texture.
+ * @prop {string} style The glyph's synthetic style (e.g. "bold italic"). If
+ * it isn't empty, the glyph's rectangle is in the texture from
+ * {@link getStyledTexturePixels} rather than the page's texture.
+ * @prop {number} scale How much bigger than the rectangle the glyph is drawn.
+ * @prop {TextLine[]} [lines] Underlines and strikethroughs that belong to
+ * the glyph, relative to its position.
+ * @prop {string} [color] The glyph's colour from the text's markup (or a
+ * transform).
+ * @prop {number} [alpha] The glyph's opacity from a transform.
+ */
+
+/**
+ * @typedef {object} TextLine
+ * A line that is drawn with a glyph, in the glyph's colour.
+ * @prop {number} x
+ * @prop {number} y
+ * @prop {number} width
+ * @prop {number} height
+ */
+
+const SOFT_HYPHEN = "\u00ad";
+
+/**
+ * Works out where each glyph in a single line of text should be drawn,
+ * relative to the start of the line. Tabs are drawn as spaces that move the
+ * cursor to the next tab stop, and soft hyphens aren't drawn at all.
+ * @param {FontStack} stack
+ * @param {string} text
+ * @param {TextOptions} options
+ * @returns {{ glyphs: LayoutGlyph[], width: number }}
+ */
+function layoutLine(stack, text, options) {
+  let { letterSpacing = 0 } = options;
+  let style = getStyleName(options);
+  let bold = options.bold ? 1 : 0;
+
+  /** @type {LayoutGlyph[]} */
+  let glyphs = [];
+  let cursor = 0;
+  let index = 0;
+  /** @type {StackGlyph | undefined} */
+  let prev;
+
+  for (let char of text) {
+    let charIndex = index;
+    index += char.length;
+    if (char === SOFT_HYPHEN) continue;
+
+    let isTab = char === "\t";
+    let glyph = stack.resolve(isTab ? 32 : (char.codePointAt(0) ?? 0));
+    let { font, code } = glyph;
+    cursor += getSpacing(stack, prev, glyph, letterSpacing);
+    prev = glyph;
+
+    let advance = isTab
+      ? getTabAdvance(stack, cursor, options)
+      : font.advance(code) + bold;
+
+    let left = style ? getStyleMetrics(font, style).left : 0;
+
+    // Trimmed rectangles are drawn where they were in the glyph's cell
+    let page = font.pageIndex(code);
+    let rect = getStyledGlyphRect(font, code, style);
+    let x = (rect.left ?? 0) + (font.xOffsets[code] ?? 0) - left;
+    let y = (rect.top ?? 0) + (font.yOffsets[code] ?? 0);
+
+    glyphs.push({
+      font,
+      code,
+      char,
+      index: charIndex,
+      x: cursor + x,
+      y: stack.offset(font) + y,
+      cursor,
+      advance,
+      page,
+      rect,
+      style,
+      scale: 1,
+    });
+
+    cursor += advance;
+  }
+
+  return { glyphs, width: cursor };
+}
+
+/**
+ * Returns the adjustment to the cursor between a pair of glyphs.
+ * @param {FontStack} stack
+ * @param {StackGlyph | undefined} left
+ * @param {StackGlyph} right
+ * @param {number} letterSpacing
+ */
+function getSpacing(stack, left, right, letterSpacing) {
+  return left ? stack.kern(left, right) + letterSpacing : 0;
+}
+
+/**
+ * Returns the distance from the cursor to the next tab stop.
+ * @param {FontStack} stack
+ * @param {number} cursor
+ * @param {TextOptions} options
+ */
+function getTabAdvance(stack, cursor, { tabSize = 4 }) {
+  let space = stack.resolve(32);
+  let stop = tabSize * space.font.advance(space.code);
+  return stop > 0 ? (Math.floor(cursor / stop) + 1) * stop - cursor : 0;
+}
+
+/**
+ * @param {LayoutGlyph[]} glyphs
+ * @param {number} x
+ * @param {number} y
+ */
+function offsetGlyphs(glyphs, x, y) {
+  for (let glyph of glyphs) {
+    glyph.x += x;
+    glyph.y += y;
+    glyph.cursor += x;
+  }
+}
+
+/**
+ * Scales glyphs that were laid out at 1x.
+ * @param {LayoutGlyph[]} glyphs
+ * @param {number} scale
+ */
+function scaleGlyphs(glyphs, scale) {
+  for (let glyph of glyphs) {
+    glyph.x *= scale;
+    glyph.y *= scale;
+    glyph.cursor *= scale;
+    glyph.advance *= scale;
+    glyph.scale = scale;
+    glyph.lines = glyph.lines?.map((line) => ({
+      x: line.x * scale,
+      y: line.y * scale,
+      width: line.width * scale,
+      height: line.height * scale,
+    }));
+  }
+}
+
+/**
+ * Adds underlines and strikethroughs to the glyphs in a line. Each glyph
+ * gets the part of the line between its cursor and the next glyph's, so
+ * that lines follow the glyphs' colours and transforms. Trailing whitespace
+ * isn't decorated.
+ * @param {FontStack} stack
+ * @param {LayoutGlyph[]} glyphs Glyphs that haven't been moved or scaled
+ * since they were laid out.
+ * @param {SyntheticStyle} style
+ */
+function decorateGlyphs(stack, glyphs, { underline, strikethrough }) {
+  /** @type {number[]} */
+  let rows = [];
+
+  // Underlines go just below the baseline (unless that's outside the line),
+  // and strikethroughs go through the middle of the lowercase letters
+  if (underline) {
+    rows.push(Math.min(stack.baseline, stack.lineHeight - 1));
+  }
+
+  if (strikethrough) {
+    rows.push(stack.baseline - Math.ceil(stack.xHeight / 2));
+  }
+
+  if (rows.length === 0) return;
+
+  let content = trimGlyphs(glyphs);
+
+  content.forEach((glyph, i) => {
+    let next = content[i + 1];
+    let width = next ? next.cursor - glyph.cursor : glyph.advance;
+
+    glyph.lines = rows.map((row) => ({
+      x: glyph.cursor - glyph.x,
+      y: row - glyph.y,
+      width: Math.max(0, width),
+      height: 1,
+    }));
+  });
+}
+
+/**
+ * Returns the distance from the top of a line to one of its baselines, or to
+ * the top of its glyph cells if there isn't one.
+ * @param {FontStack} stack
+ * @param {TextBaseline} [textBaseline]
+ */
+function getBaselineOffset(stack, textBaseline) {
+  if (!textBaseline) return 0;
+
+  let top = stack.baseline - stack.ascent;
+  let bottom = stack.baseline + stack.descent;
+
+  switch (textBaseline) {
+    case "top":
+      return top;
+    case "middle":
+      return Math.floor((top + bottom) / 2);
+    case "alphabetic":
+      return stack.baseline;
+    case "bottom":
+      return bottom;
+  }
+}
+
+/**
+ * Works out where each glyph in a string of text should be drawn, starting a
+ * new line after each "\n".
+ * @param {FontStack} stack
+ * @param {string} text
+ * @param {number} x
+ * @param {number} y
+ * @param {TextOptions} options
+ * @returns {LayoutGlyph[]}
+ */
+function layoutGlyphs(stack, text, x, y, options) {
+  let { lineSpacing = 0, scale = 1, textBaseline } = options;
+  let { text: plainText, colors } = parseMarkup(text, options);
+  let start = 0;
+
+  let glyphs = plainText.split("\n").flatMap((line, row) => {
+    let { glyphs } = layoutLine(stack, line, options);
+
+    for (let glyph of glyphs) {
+      glyph.index += start;
+      glyph.color = colors[glyph.index];
+    }
+
+    decorateGlyphs(stack, glyphs, options);
+    offsetGlyphs(glyphs, 0, row * (stack.lineHeight + lineSpacing));
+    start += line.length + 1;
+    return glyphs;
+  });
+
+  scaleGlyphs(glyphs, scale);
+  offsetGlyphs(glyphs, x, y - getBaselineOffset(stack, textBaseline) * scale);
+  return glyphs;
+}
+
+/**
+ * Matches the tags in text with markup.
+ */
+const MARKUP_TAG = /\{\{|\{\/\}|\{([^{}]+)\}/g;
+
+/**
+ * Removes the tags from text with markup, and works out the colour of each
+ * character. Text is returned as it is if markup isn't enabled.
+ * @param {string} text
+ * @param {TextOptions} options
+ * @returns {{ text: string, colors: (string | undefined)[] }} The text without
+ * its tags, and the colour for each index in it.
+ */
+function parseMarkup(text, options) {
+  if (!options.markup) return { text, colors: [] };
+
+  let plainText = "";
+  /** @type {(string | undefined)[]} */
+  let colors = [];
+  /** @type {string[]} */
+  let stack = [];
+  let index = 0;
+
+  /**
+   * @param {string} part
+   */
+  let append = (part) => {
+    plainText += part;
+    colors.push(...Array(part.length).fill(stack[stack.length - 1]));
+  };
+
+  for (let match of text.matchAll(MARKUP_TAG)) {
+    append(text.slice(index, match.index));
+    index = match.index + match[0].length;
+
+    if (match[0] === "{{") {
+      append("{");
+    } else if (match[0] === "{/}") {
+      stack.pop();
+    } else {
+      stack.push(match[1]);
+    }
+  }
+
+  append(text.slice(index));
+  return { text: plainText, colors };
+}
+
+/**
+ * Adds the tags back into part of some text that was parsed with
+ * {@link parseMarkup}. Each colour is closed at the end, so that the part
+ * can be drawn by itself.
+ * @param {string} text The text without its tags.
+ * @param {(string | undefined)[]} colors
+ */
+function formatMarkup(text, colors) {
+  let markup = "";
+  /** @type {string | undefined} */
+  let current;
+
+  for (let index = 0; index < text.length; index++) {
+    let color = colors[index];
+
+    if (color !== current) {
+      if (current) markup += "{/}";
+      if (color) markup += `{${color}}`;
+      current = color;
+    }
+
+    markup += text[index] === "{" ? "{{" : text[index];
+  }
+
+  if (current) markup += "{/}";
+  return markup;
+}
+
+/**
+ * @typedef {object} TextEffect
+ * A copy of the text that's drawn behind it, such as an outline or a shadow.
+ * @prop {string} color The colour of the effect. Without a canvas,
+ * `renderText` only understands hex colours, like markup.
+ * @prop {number} [outline] A bitmask of the neighbouring pixels to draw the
+ * effect at, going clockwise from the right (1 is right, 2 is below and to the
+ * right, 4 is below, and so on). Use 255 to outline every side.
+ * @prop {number} [x] How far to offset the effect horizontally (e.g. for a
+ * drop shadow).
+ * @prop {number} [y] How far to offset the effect vertically.
+ *
+ * @typedef {object} GlyphTransform
+ * Changes to make to a glyph before it's drawn.
+ * @prop {number} [x] How far to move the glyph horizontally.
+ * @prop {number} [y] How far to move the glyph vertically.
+ * @prop {string} [color] The colour to draw the glyph with.
+ * @prop {number} [alpha] The glyph's opacity, from 0 to 1.
+ *
+ * @typedef {object} TextStyle
+ * @prop {TextEffect[]} [effects] Effects to draw behind the text, starting
+ * with the bottom layer.
+ * @prop {number} [visibleCount] The number of glyphs to draw (including
+ * spaces), for revealing text one character at a time. The whole text is
+ * still laid out, so words don't jump onto the next line as they appear.
+ * @prop {boolean} [tint] Whether to draw glyphs in the text's colour. Turn it
+ * off to draw multi-coloured textures with their own colours (underlines,
+ * strikethroughs and effects are still coloured). Defaults to true.
+ * @prop {(glyph: LayoutGlyph) => GlyphTransform | void} [transform] Called
+ * for each glyph before it's drawn, for animating glyphs. Transforms move
+ * glyphs by pixels on the canvas, whatever the text's scale is.
+ */
+
+/**
+ * Leaves out the glyphs that aren't visible yet, and applies the style's
+ * transform to the rest.
+ * @param {LayoutGlyph[]} glyphs
+ * @param {TextStyle} style
+ * @param {number} [offset] The number of glyphs that were drawn before these.
+ * @returns {LayoutGlyph[]}
+ */
+function styleGlyphs(glyphs, style, offset = 0) {
+  let { visibleCount = Infinity, transform } = style;
+  let visible = glyphs.slice(0, Math.max(0, visibleCount - offset));
+  if (!transform) return visible;
+
+  return visible.map((glyph) => {
+    let change = /** @type {GlyphTransform} */ (transform(glyph) ?? {});
+    let { x = 0, y = 0, color, alpha } = change;
+
+    return {
+      ...glyph,
+      x: glyph.x + x,
+      y: glyph.y + y,
+      color: color ?? glyph.color,
+      alpha: alpha ?? glyph.alpha,
+    };
+  });
+}
+
+/**
+ * The offsets for each bit in {@link TextEffect.outline}.
+ * @type {[x: number, y: number][]}
+ */
+const NEIGHBOURS = [
+  [1, 0],
+  [1, 1],
+  [0, 1],
+  [-1, 1],
+  [-1, 0],
+  [-1, -1],
+  [0, -1],
+  [1, -1],
+];
+
+/**
+ * Returns the offsets that an effect draws the text at.
+ * @param {TextEffect} effect
+ * @param {number} scale
+ * @returns {[x: number, y: number][]}
+ */
+function getEffectOffsets({ outline = 0, x = 0, y = 0 }, scale) {
+  if (!outline) return [[x * scale, y * scale]];
+
+  return NEIGHBOURS.filter((_, bit) => outline & (1 << bit)).map(([dx, dy]) => [
+    (x + dx) * scale,
+    (y + dy) * scale,
+  ]);
+}
+
+/**
+ * Works out how far a list of effects extends past each side of the text.
+ * @param {TextEffect[]} effects
+ * @param {number} scale
+ */
+function getEffectBounds(effects, scale) {
+  let offsets = effects.flatMap((effect) => getEffectOffsets(effect, scale));
+  let xs = offsets.map(([x]) => x);
+  let ys = offsets.map(([, y]) => y);
+
+  return {
+    left: Math.max(0, ...xs.map((x) => -x)),
+    top: Math.max(0, ...ys.map((y) => -y)),
+    right: Math.max(0, ...xs),
+    bottom: Math.max(0, ...ys),
+  };
+}
+
+/**
+ * Finds the smallest rectangle that contains every glyph.
+ * @param {LayoutGlyph[]} glyphs
+ */
+function getGlyphBounds(glyphs) {
+  let left = Infinity;
+  let top = Infinity;
+  let right = -Infinity;
+  let bottom = -Infinity;
+
+  for (let glyph of glyphs) {
+    let { width, height } = glyph.rect;
+    let shape = {
+      x: 0,
+      y: 0,
+      width: width * glyph.scale,
+      height: height * glyph.scale,
+    };
+
+    for (let rect of [shape, ...(glyph.lines ?? [])]) {
+      left = Math.min(left, glyph.x + rect.x);
+      top = Math.min(top, glyph.y + rect.y);
+      right = Math.max(right, glyph.x + rect.x + rect.width);
+      bottom = Math.max(bottom, glyph.y + rect.y + rect.height);
+    }
+  }
+
+  left = Math.floor(left);
+  top = Math.floor(top);
+  right = Math.ceil(right);
+  bottom = Math.ceil(bottom);
+
+  return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+/**
+ * A canvas that effects are drawn into before they're copied onto the
+ * target canvas. It's shared between draws, and grows when it needs to.
+ * @type {{ canvas: Canvas, ctx: Context } | undefined}
+ */
+let effectLayer;
+
+/**
+ * @param {number} width
+ * @param {number} height
+ */
+function getEffectLayer(width, height) {
+  if (
+    !effectLayer ||
+    effectLayer.canvas.width < width ||
+    effectLayer.canvas.height < height
+  ) {
+    effectLayer = createCanvas(
+      Math.max(width, effectLayer?.canvas.width ?? 0),
+      Math.max(height, effectLayer?.canvas.height ?? 0),
+    );
+  } else {
+    effectLayer.ctx.clearRect(0, 0, width, height);
+  }
+
+  return effectLayer;
+}
+
+/**
+ * Draws an effect behind some glyphs. The glyphs are drawn into a separate
+ * layer once, and then the layer is copied to each of the effect's offsets.
+ * @param {Context} ctx
+ * @param {LayoutGlyph[]} glyphs
+ * @param {number} x
+ * @param {number} y
+ * @param {TextEffect} effect
+ * @param {number} scale
+ */
+function drawEffect(ctx, glyphs, x, y, effect, scale) {
+  let bounds = getGlyphBounds(glyphs);
+  let { width, height } = bounds;
+  if (width <= 0 || height <= 0) return;
+
+  // Effects are a single colour, whatever colours the markup uses
+  let layer = getEffectLayer(width, height);
+  let shapes = glyphs.map((glyph) => ({ ...glyph, color: effect.color }));
+  drawGlyphs(layer.ctx, shapes, -bounds.x, -bounds.y, effect.color, "fill");
+
+  for (let [dx, dy] of getEffectOffsets(effect, scale)) {
+    let tx = x + bounds.x + dx;
+    let ty = y + bounds.y + dy;
+    ctx.drawImage(layer.canvas, 0, 0, width, height, tx, ty, width, height);
+  }
+}
+
+/**
+ * How glyphs' pixels are coloured when they're drawn. "tint" replaces the
+ * font's tint colour (or every pixel, if it doesn't have one), "fill"
+ * replaces every pixel (for effects), and "none" keeps the texture's colours.
+ * @typedef {"tint" | "fill" | "none"} GlyphPaint
+ */
+
+/**
+ * @param {Context} ctx
+ * @param {LayoutGlyph[]} glyphs
+ * @param {number} x
+ * @param {number} y
+ * @param {string} color
+ * @param {GlyphPaint} [paint]
+ */
+function drawGlyphs(ctx, glyphs, x, y, color, paint = "tint") {
+  let { globalAlpha, imageSmoothingEnabled, fillStyle } = ctx;
+  ctx.imageSmoothingEnabled = false;
+
+  for (let glyph of glyphs) {
+    let glyphColor = glyph.color ?? color;
+    let { font, style, page } = glyph;
+    let texture =
+      !glyphColor || paint === "none"
+        ? getDrawableTexture(font, style, page)
+        : paint === "fill"
+          ? getColoredTexture(font, glyphColor, style, page)
+          : getTintedTexture(font, glyphColor, style, page);
+
+    let { x: sx, y: sy, width: sw, height: sh } = glyph.rect;
+    let dx = x + glyph.x;
+    let dy = y + glyph.y;
+    let dw = sw * glyph.scale;
+    let dh = sh * glyph.scale;
+    ctx.globalAlpha = globalAlpha * (glyph.alpha ?? 1);
+
+    // Packed glyphs without any pixels have empty rectangles
+    if (sw > 0 && sh > 0) {
+      ctx.drawImage(texture, sx, sy, sw, sh, dx, dy, dw, dh);
+    }
+
+    for (let line of glyph.lines ?? []) {
+      ctx.fillStyle = glyphColor || "black";
+      ctx.fillRect(dx + line.x, dy + line.y, line.width, line.height);
+    }
+  }
+
+  ctx.globalAlpha = globalAlpha;
+  ctx.imageSmoothingEnabled = imageSmoothingEnabled;
+  ctx.fillStyle = fillStyle;
+}
+
+/**
+ * @param {Context} ctx
+ * @param {LayoutGlyph[]} glyphs
+ * @param {number} x
+ * @param {number} y
+ * @param {string} color
+ * @param {TextStyle} style
+ * @param {number} scale
+ */
+function drawStyledGlyphs(ctx, glyphs, x, y, color, style, scale) {
+  if (glyphs.length === 0) return;
+
+  for (let effect of style.effects ?? []) {
+    drawEffect(ctx, glyphs, x, y, effect, scale);
+  }
+
+  drawGlyphs(ctx, glyphs, x, y, color, style.tint === false ? "none" : "tint");
+}
+
+/**
+ * @param {Context} ctx
+ * @param {Font | FontStack} font
+ * @param {string} text
+ * @param {number} x
+ * @param {number} y
+ * @param {string} color
+ * @param {TextOptions & TextStyle} [options]
+ */
+export function drawText(ctx, font, text, x, y, color, options = {}) {
+  let glyphs = getTextGlyphs(font, text, x, y, options);
+  drawStyledGlyphs(ctx, glyphs, 0, 0, color, options, options.scale ?? 1);
+}
+
+/**
+ * Works out where each glyph in a string of text should be drawn, for drawing
+ * text without {@link drawText} (e.g. with a different renderer).
+ * @param {Font | FontStack} font
+ * @param {string} text
+ * @param {number} x
+ * @param {number} y
+ * @param {TextOptions & TextStyle} [options]
+ * @returns {LayoutGlyph[]} Each glyph's rectangle in its font's texture, and
+ * the position to draw it at.
+ */
+export function getTextGlyphs(font, text, x, y, options = {}) {
+  let glyphs = layoutGlyphs(toFontStack(font), text, x, y, options);
+  return styleGlyphs(glyphs, options);
+}
+
+/**
+ * Renders text into a buffer of pixels, without using a canvas. Glyphs are
+ * blended over the existing pixels.
+ * @param {PixelData} target
+ * @param {Font | FontStack} font
+ * @param {string} text
+ * @param {number} x
+ * @param {number} y
+ * @param {string | RGBA} [color] A hex colour (e.g. "#ff0000") or an RGBA
+ * tuple. Glyphs keep the texture's colours if this is omitted.
+ * @param {TextOptions & TextStyle} [options]
+ */
+export function renderText(target, font, text, x, y, color, options = {}) {
+  let tint = typeof color === "string" ? parseHexColor(color) : color;
+  let glyphs = getTextGlyphs(font, text, Math.round(x), Math.round(y), options);
+  if (glyphs.length === 0) return;
+
+  for (let effect of options.effects ?? []) {
+    let bounds = getGlyphBounds(glyphs);
+    let layer = createPixelData(bounds.width, bounds.height);
+    let shapes = glyphs.map((glyph) => ({ ...glyph, color: effect.color }));
+    renderGlyphs(layer, shapes, -bounds.x, -bounds.y, tint, "fill");
+
+    for (let [dx, dy] of getEffectOffsets(effect, options.scale ?? 1)) {
+      blendPixels(target, layer, bounds.x + dx, bounds.y + dy);
+    }
+  }
+
+  /** @type {GlyphPaint} */
+  let paint = options.tint === false ? "none" : "tint";
+  renderGlyphs(target, glyphs, 0, 0, tint, paint);
+}
+
+/**
+ * @param {PixelData} target
+ * @param {LayoutGlyph[]} glyphs
+ * @param {number} x
+ * @param {number} y
+ * @param {RGBA | undefined} tint
+ * @param {GlyphPaint} paint
+ */
+function renderGlyphs(target, glyphs, x, y, tint, paint) {
+  for (let glyph of glyphs) {
+    let source = getStyledTexturePixels(glyph.font, glyph.style, glyph.page);
+    let { rect } = glyph;
+    let color = (glyph.color ? parseColor(glyph.color) : undefined) ?? tint;
+    let glyphTint = paint === "none" ? undefined : color;
+    let { tintColor } = glyph.font;
+    let match =
+      paint === "tint" && tintColor ? parseHexColor(tintColor) : undefined;
+    let glyphAlpha = glyph.alpha ?? 1;
+    let width = Math.min(rect.width, source.width - rect.x);
+    let height = Math.min(rect.height, source.height - rect.y);
+    let left = Math.round(x + glyph.x);
+    let top = Math.round(y + glyph.y);
+
+    for (let gy = 0; gy < height * glyph.scale; gy++) {
+      let ty = top + gy;
+      if (ty < 0 || ty >= target.height) continue;
+      let sy = rect.y + Math.floor(gy / glyph.scale);
+
+      for (let gx = 0; gx < width * glyph.scale; gx++) {
+        let tx = left + gx;
+        if (tx < 0 || tx >= target.width) continue;
+        let sx = rect.x + Math.floor(gx / glyph.scale);
+
+        let si = (sx + sy * source.width) * 4;
+        let alpha = source.data[si + 3];
+        if (alpha === 0) continue;
+
+        let tinted = !match || isTintPixel(source.data, si, match);
+
+        let [r, g, b, a] =
+          glyphTint && tinted
+            ? glyphTint
+            : [source.data[si], source.data[si + 1], source.data[si + 2], 255];
+
+        blendPixel(
+          target.data,
+          (tx + ty * target.width) * 4,
+          r,
+          g,
+          b,
+          ((alpha * a) / 255) * glyphAlpha,
+        );
+      }
+    }
+
+    // Lines are black if there isn't a colour to draw them in
+    let [r, g, b, a] = color ?? [0, 0, 0, 255];
+
+    for (let line of glyph.lines ?? []) {
+      let { x: lx, y: ly, width: lw, height: lh } = line;
+
+      for (let ty = top + ly; ty < top + ly + lh; ty++) {
+        if (ty < 0 || ty >= target.height) continue;
+
+        for (let tx = left + lx; tx < left + lx + lw; tx++) {
+          if (tx < 0 || tx >= target.width) continue;
+          let ti = (tx + ty * target.width) * 4;
+          blendPixel(target.data, ti, r, g, b, a * glyphAlpha);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Blends one buffer of pixels over another.
+ * @param {PixelData} target
+ * @param {PixelData} source
+ * @param {number} x Where to put the source's top left corner.
+ * @param {number} y
+ */
+function blendPixels(target, source, x, y) {
+  for (let sy = 0; sy < source.height; sy++) {
+    let ty = y + sy;
+    if (ty < 0 || ty >= target.height) continue;
+
+    for (let sx = 0; sx < source.width; sx++) {
+      let tx = x + sx;
+      if (tx < 0 || tx >= target.width) continue;
+
+      let si = (sx + sy * source.width) * 4;
+      let [r, g, b, a] = source.data.subarray(si, si + 4);
+      if (a === 0) continue;
+
+      blendPixel(target.data, (tx + ty * target.width) * 4, r, g, b, a);
+    }
+  }
+}
+
+/**
+ * Blends a colour over a pixel (using source-over compositing).
+ * @param {Uint8ClampedArray} data
+ * @param {number} index
+ * @param {number} r
+ * @param {number} g
+ * @param {number} b
+ * @param {number} a
+ */
+function blendPixel(data, index, r, g, b, a) {
+  let sa = a / 255;
+  let da = data[index + 3] / 255;
+  let oa = sa + da * (1 - sa);
+  if (oa === 0) return;
+
+  data[index] = (r * sa + data[index] * da * (1 - sa)) / oa;
+  data[index + 1] = (g * sa + data[index + 1] * da * (1 - sa)) / oa;
+  data[index + 2] = (b * sa + data[index + 2] * da * (1 - sa)) / oa;
+  data[index + 3] = oa * 255;
+}
+
+/**
+ * Named colours that have already been resolved, so that each one only needs
+ * a canvas once.
+ * @type {Map<string, RGBA>}
+ */
+const namedColors = new Map();
+
+/**
+ * Parses a colour for rendering without a canvas. Hex colours are parsed
+ * directly, and other CSS colours (like "red") are resolved with a canvas if
+ * one is available.
+ * @param {string} color
+ * @returns {RGBA | undefined} Nothing if the colour can't be resolved.
+ */
+function parseColor(color) {
+  if (color.startsWith("#")) return parseHexColor(color);
+
+  let rgba = namedColors.get(color);
+  if (rgba) return rgba;
+
+  let hasCanvas =
+    typeof OffscreenCanvas !== "undefined" || typeof document !== "undefined";
+  if (!hasCanvas) return undefined;
+
+  rgba = getColorRGBA(color);
+  namedColors.set(color, rgba);
+  return rgba;
+}
+
+/**
+ * Parses a hex colour in the "#rgb", "#rgba", "#rrggbb" or "#rrggbbaa" format.
+ * @param {string} color
+ * @returns {RGBA}
+ */
+function parseHexColor(color) {
+  let hex = color.replace(/^#/, "");
+
+  if (hex.length === 3 || hex.length === 4) {
+    hex = hex.replace(/./g, "$&$&");
+  }
+
+  if (!/^([0-9a-f]{6}|[0-9a-f]{8})$/i.test(hex)) {
+    throw new Error(`Unsupported colour: "${color}"`);
+  }
+
+  let value = parseInt(hex.padEnd(8, "f"), 16);
+  return [
+    (value >>> 24) & 255,
+    (value >>> 16) & 255,
+    (value >>> 8) & 255,
+    value & 255,
+  ];
+}
+
+/**
+ * Measures the space that text takes up when it's drawn. Effects make the
+ * text bigger, so `left` and `top` say how far they extend past the position
+ * that the text is drawn at.
+ * @param {Font | FontStack} font
+ * @param {string} text
+ * @param {TextOptions & TextStyle} [options]
+ * @returns {{ width: number, height: number, left: number, top: number, ascent: number, descent: number }}
+ * `ascent` and `descent` are how far the fonts reach above and below the
+ * first line's {@link TextOptions.textBaseline} (without effects), like
+ * `fontBoundingBoxAscent` and `fontBoundingBoxDescent` in the Canvas API.
+ */
+export function measureText(font, text, options = {}) {
+  let stack = toFontStack(font);
+  let { lineSpacing = 0, effects = [], scale = 1, textBaseline } = options;
+  let lines = parseMarkup(text, options).text.split("\n");
+  let widths = lines.map((line) => layoutLine(stack, line, options).width);
+  let { left, top, right, bottom } = getEffectBounds(effects, scale);
+
+  // The distance from the y position down to the alphabetic baseline
+  let toBaseline = stack.baseline - getBaselineOffset(stack, textBaseline);
+
+  return {
+    width: Math.max(...widths) * scale + left + right,
+    height:
+      (lines.length * stack.lineHeight + (lines.length - 1) * lineSpacing) *
+        scale +
+      top +
+      bottom,
+    left,
+    top,
+    ascent: (stack.ascent - toBaseline) * scale,
+    descent: (stack.descent + toBaseline) * scale,
+  };
+}
+
+/**
+ * @typedef {"normal" | "anywhere"} OverflowWrap
+ * Words that are too long to fit on a line by themselves overflow the line
+ * with "normal", and are broken between any pair of characters with
+ * "anywhere".
+ *
+ * @typedef {object} WrapOptions
+ * @prop {OverflowWrap} [overflowWrap] Defaults to "normal".
+ * @prop {boolean} [hyphens] Whether words can be broken at soft hyphens
+ * (U+00AD), with a hyphen at the end of the line. Soft hyphens are never
+ * drawn.
+ * @prop {number} [maxLines] The maximum number of lines (at least 1). If the
+ * text is truncated, the last line ends with the ellipsis.
+ * @prop {string} [ellipsis] The text to end truncated text with. Defaults to
+ * "…", or "..." if the font doesn't cover it.
+ *
+ * @typedef {object} LineRange
+ * @prop {number} start The index of the line's first character in the text.
+ * @prop {number} end The index after the line's last character.
+ * @prop {string} suffix Text to draw at the end of the line, for a hyphen or
+ * an ellipsis.
+ */
+
+/**
+ * Works out where to break a string of text so that its lines attempt to fit
+ * within a given width. Lines are broken at newlines and between words.
+ * @param {FontStack} stack
+ * @param {string} text
+ * @param {number} maxWidth
+ * @param {TextOptions & WrapOptions} options
+ * @returns {LineRange[]} Spaces that the lines were broken at are kept at the
+ * end of each line.
  */
-export function wrapText(font, text, maxWidth) {
+function wrapLines(stack, text, maxWidth, options) {
+  let {
+    letterSpacing = 0,
+    overflowWrap = "normal",
+    hyphens = false,
+    maxLines = Infinity,
+  } = options;
+
   /**
-   * @type {string[]}
+   * @type {LineRange[]}
    */
   let lines = [];
-  let line = "";
+  let start = 0;
+  let index = 0;
   let width = 0;
 
   let words = text.split(/(\s)/g);
+  /** @type {StackGlyph | undefined} */
+  let prev;
+
+  /**
+   * Measures the width of the current line, if part of the text was added to
+   * it.
+   * @param {number} from
+   * @param {number} to
+   * @param {string} [suffix]
+   */
+  let measure = (from, to, suffix = "") => {
+    let line = layoutLine(stack, text.slice(from, to) + suffix, options);
+    let first = line.glyphs[0];
+    let spacing = first ? getSpacing(stack, prev, first, letterSpacing) : 0;
+    let last = line.glyphs[line.glyphs.length - 1];
+    return { width: width + spacing + line.width, last };
+  };
+
+  /**
+   * @param {number} end
+   * @param {string} [suffix]
+   */
+  let breakLine = (end, suffix = "") => {
+    lines.push({ start, end, suffix });
+    start = end;
+    width = 0;
+    prev = undefined;
+  };
 
   for (let word of words) {
-    if (word === " ") {
-      line += " ";
-      width += font.advance(32);
+    let wordStart = index;
+    index += word.length;
+
+    if (word === " " || word === "\t") {
+      let space = stack.resolve(32);
+      width += getSpacing(stack, prev, space, letterSpacing);
+      width +=
+        word === "\t"
+          ? getTabAdvance(stack, width, options)
+          : space.font.advance(space.code);
+      prev = space;
       continue;
     }
 
     if (word === "\n") {
-      lines.push(line);
-      line = "";
-      width = 0;
+      breakLine(wordStart);
+      start = index;
       continue;
     }
 
-    let wordWidth = measureText(font, word).width;
+    // Keep breaking the word until the rest of it fits on the line
+    let rest = wordStart;
 
-    if (width + wordWidth > maxWidth) {
-      lines.push(line);
-      line = word;
-      width = wordWidth;
-      continue;
-    }
+    while (true) {
+      let { width: restWidth, last } = measure(rest, index);
+
+      if (restWidth <= maxWidth) {
+        width = restWidth;
+        prev = last ?? prev;
+        break;
+      }
+
+      let hyphenBreak = hyphens
+        ? findHyphenBreak(text, rest, index, (end) => {
+            return measure(rest, end, "-").width <= maxWidth;
+          })
+        : undefined;
+
+      if (hyphenBreak !== undefined) {
+        breakLine(hyphenBreak, "-");
+        rest = hyphenBreak;
+        continue;
+      }
 
-    line += word;
-    width += wordWidth;
+      // Move the word onto the next line, unless this line is still empty
+      if (/\S/.test(text.slice(start, rest))) {
+        breakLine(rest);
+        continue;
+      }
+
+      let charBreak =
+        overflowWrap === "anywhere"
+          ? findCharBreak(text, rest, index, (end) => {
+              return measure(rest, end).width <= maxWidth;
+            })
+          : undefined;
+
+      if (charBreak !== undefined) {
+        breakLine(charBreak);
+        rest = charBreak;
+        continue;
+      }
+
+      // The word can't be broken, so it overflows the line
+      width = restWidth;
+      prev = last ?? prev;
+      break;
+    }
   }
 
-  line = line.trim();
+  lines.push({ start, end: text.length, suffix: "" });
 
-  if (line) {
-    lines.push(line);
+  if (lines.length > maxLines) {
+    lines = lines.slice(0, Math.max(maxLines, 1));
+    truncateLine(stack, text, lines[lines.length - 1], maxWidth, options);
   }
 
   return lines;
 }
+
+/**
+ * Finds the last soft hyphen in a word that the word can be broken at.
+ * @param {string} text
+ * @param {number} start The index of the start of the word.
+ * @param {number} end The index of the end of the word.
+ * @param {(end: number) => boolean} fits Checks whether the word fits on the
+ * line if it's broken at an index.
+ * @returns {number | undefined} The index to break the word at.
+ */
+function findHyphenBreak(text, start, end, fits) {
+  let index = text.lastIndexOf(SOFT_HYPHEN, end - 1);
+
+  while (index > start) {
+    if (fits(index + 1)) return index + 1;
+    index = text.lastIndexOf(SOFT_HYPHEN, index - 1);
+  }
+}
+
+/**
+ * Finds the last character in a word that the word can be broken after. The
+ * first character always stays on the line, so that each line has at least
+ * one character.
+ *
+ * Longer prefixes never fit where shorter ones don't, so this binary searches
+ * the break rather than measuring every prefix of long words.
+ * @param {string} text
+ * @param {number} start The index of the start of the word.
+ * @param {number} end The index of the end of the word.
+ * @param {(end: number) => boolean} fits Checks whether the word fits on the
+ * line if it's broken at an index.
+ * @returns {number | undefined} The index to break the word at.
+ */
+function findCharBreak(text, start, end, fits) {
+  /** @type {number[]} */
+  let breaks = [];
+  let index = start;
+
+  for (let char of text.slice(start, end)) {
+    index += char.length;
+    if (index < end) breaks.push(index);
+  }
+
+  let low = 0;
+  let high = breaks.length - 1;
+
+  while (low < high) {
+    let mid = Math.ceil((low + high) / 2);
+    if (fits(breaks[mid])) low = mid;
+    else high = mid - 1;
+  }
+
+  return breaks[low];
+}
+
+/**
+ * Shortens a line until it fits within a width with an ellipsis at the end.
+ * @param {FontStack} stack
+ * @param {string} text
+ * @param {LineRange} line
+ * @param {number} maxWidth
+ * @param {TextOptions & WrapOptions} options
+ */
+function truncateLine(stack, text, line, maxWidth, options) {
+  let isEllipsisCovered = stack.fonts.some((font) => font.covers(0x2026));
+  let { ellipsis = isEllipsisCovered ? "…" : "..." } = options;
+  let content = text.slice(line.start, line.end).trimEnd();
+
+  while (content) {
+    let { width } = layoutLine(stack, content + ellipsis, options);
+    if (width <= maxWidth) break;
+    content = Array.from(content).slice(0, -1).join("").trimEnd();
+  }
+
+  line.end = line.start + content.length;
+  line.suffix = ellipsis;
+}
+
+/**
+ * Wrap a string of text onto multiple lines that attempt to fit within a given
+ * width.
+ * @param {Font | FontStack} font The font to measure the text with.
+ * @param {string} text The text to wrap.
+ * @param {number} maxWidth The max width in pixels.
+ * @param {TextOptions & WrapOptions} [options]
+ * @returns {string[]} An array of wrapped lines of text.
+ */
+export function wrapText(font, text, maxWidth, options = {}) {
+  let { text: plainText, colors } = parseMarkup(text, options);
+  let { scale = 1 } = options;
+  let stack = toFontStack(font);
+  let ranges = wrapLines(stack, plainText, maxWidth / scale, options);
+
+  // The last line is trimmed, and left out if it's empty
+  let last = ranges.pop();
+
+  if (last) {
+    let line = plainText.slice(last.start, last.end);
+    let start = last.start + line.length - line.trimStart().length;
+    let end = last.start + line.trimEnd().length;
+
+    if (end > start || last.suffix) {
+      ranges.push({ start, end: Math.max(start, end), suffix: last.suffix });
+    }
+  }
+
+  return ranges.map(({ start, end, suffix }) => {
+    let line = plainText.slice(start, end) + suffix;
+    if (!options.markup) return line;
+
+    // Colours are reopened on each line, and hyphens and ellipses are the
+    // same colour as the character before them
+    let lineColors = colors.slice(start, end);
+    lineColors.push(...Array(suffix.length).fill(colors[end - 1]));
+    return formatMarkup(line, lineColors);
+  });
+}
+
+/**
+ * @typedef {"left" | "center" | "right" | "justify"} TextAlign
+ * Justified lines spread their spaces out to fill the box, apart from the last
+ * line of each paragraph.
+ *
+ * @typedef {"top" | "middle" | "bottom"} VerticalAlign
+ *
+ * @typedef {object} TextBoxOptions
+ * @prop {number} [maxWidth] The width of the box. Text is wrapped to fit
+ * inside it. Defaults to the width of the longest line (without wrapping).
+ * @prop {number} [maxHeight] The height of the box, for vertical alignment.
+ * Defaults to the height of the text.
+ * @prop {TextAlign} [align] Defaults to "left".
+ * @prop {VerticalAlign} [verticalAlign] Defaults to "top".
+ * @prop {"visible" | "hidden"} [overflow] Set to "hidden" to leave out the
+ * lines that don't fit inside {@link maxHeight}, ending the last line with the
+ * ellipsis. Defaults to "visible".
+ *
+ * @typedef {object} LayoutLine
+ * @prop {string} text The text on the line, including its hyphen or ellipsis.
+ * @prop {number} start The index of the line's first character in the text.
+ * @prop {number} end The index after the line's last character.
+ * @prop {number} x
+ * @prop {number} y
+ * @prop {number} width The width of the line, without trailing spaces.
+ * @prop {LayoutGlyph[]} glyphs
+ *
+ * @typedef {object} TextLayout
+ * Text that has been wrapped and aligned inside a box. Positions are relative
+ * to the top left corner of the box.
+ * @prop {LayoutLine[]} lines
+ * @prop {number} width The width of the box.
+ * @prop {number} height The height of the box.
+ * @prop {number} lineHeight
+ * @prop {number} scale
+ */
+
+/**
+ * Wraps and aligns text inside a box, and works out where each line and glyph
+ * should be drawn. The layout always has at least one line, so that there's
+ * somewhere to put a caret in empty text.
+ * @param {Font | FontStack} font
+ * @param {string} text
+ * @param {TextOptions & WrapOptions & TextBoxOptions} [options]
+ * @returns {TextLayout}
+ */
+export function layoutText(font, text, options = {}) {
+  let stack = toFontStack(font);
+  let { lineHeight } = stack;
+  let {
+    maxWidth = Infinity,
+    maxHeight,
+    maxLines = Infinity,
+    align = "left",
+    verticalAlign = "top",
+    overflow = "visible",
+    lineSpacing = 0,
+    scale = 1,
+  } = options;
+
+  let markup = parseMarkup(text, options);
+  text = markup.text;
+
+  // Everything is laid out at 1x in the box's scaled down size, and scaled
+  // up at the end
+  let boxWidth = maxWidth / scale;
+  let boxHeight = maxHeight === undefined ? undefined : maxHeight / scale;
+
+  if (overflow === "hidden" && boxHeight !== undefined) {
+    let rows = Math.floor(
+      (boxHeight + lineSpacing) / (lineHeight + lineSpacing),
+    );
+    maxLines = Math.min(maxLines, rows);
+  }
+
+  let ranges = wrapLines(stack, text, boxWidth, { ...options, maxLines });
+
+  /**
+   * @type {LayoutLine[]}
+   */
+  let lines = ranges.map(({ start, end, suffix }, row) => {
+    let lineText = text.slice(start, end) + suffix;
+    let { glyphs } = layoutLine(stack, lineText, options);
+
+    // Hyphens and ellipses belong to the end of the line, and are the same
+    // colour as the character before them
+    for (let glyph of glyphs) {
+      let isSuffix = start + glyph.index >= end;
+      glyph.index = Math.min(start + glyph.index, end);
+      glyph.color = markup.colors[isSuffix ? end - 1 : glyph.index];
+    }
+
+    let y = row * (lineHeight + lineSpacing);
+    let width = getContentWidth(glyphs);
+    return { text: lineText, start, end, x: 0, y, width, glyphs };
+  });
+
+  let textWidth = Math.max(...lines.map((line) => line.width));
+  let textHeight = lines.length * lineHeight + (lines.length - 1) * lineSpacing;
+  let width = Number.isFinite(boxWidth) ? boxWidth : textWidth;
+  let height = boxHeight ?? textHeight;
+
+  let top =
+    verticalAlign === "middle"
+      ? Math.floor((height - textHeight) / 2)
+      : verticalAlign === "bottom"
+        ? height - textHeight
+        : 0;
+
+  for (let line of lines) {
+    let isLastInParagraph = line.end === text.length || text[line.end] === "\n";
+
+    if (align === "justify" && !isLastInParagraph) {
+      justifyLine(line, width);
+    } else if (align === "center") {
+      line.x = Math.floor((width - line.width) / 2);
+    } else if (align === "right") {
+      line.x = width - line.width;
+    }
+
+    decorateGlyphs(stack, line.glyphs, options);
+    line.x *= scale;
+    line.y = (line.y + top) * scale;
+    line.width *= scale;
+    scaleGlyphs(line.glyphs, scale);
+    offsetGlyphs(line.glyphs, line.x, line.y);
+  }
+
+  return {
+    lines,
+    width: width * scale,
+    height: height * scale,
+    lineHeight: lineHeight * scale,
+    scale,
+  };
+}
+
+/**
+ * Returns the glyphs in a line without any trailing whitespace.
+ * @param {LayoutGlyph[]} glyphs
+ */
+function trimGlyphs(glyphs) {
+  let end = glyphs.length;
+  while (end > 0 && /\s/.test(glyphs[end - 1].char)) end--;
+  return glyphs.slice(0, end);
+}
+
+/**
+ * @param {LayoutGlyph[]} glyphs
+ */
+function getContentWidth(glyphs) {
+  let last = trimGlyphs(glyphs).pop();
+  return last ? last.cursor + last.advance : 0;
+}
+
+/**
+ * Widens the spaces in a line so that it fills the width of the box. The
+ * extra pixels are shared as evenly as possible.
+ * @param {LayoutLine} line
+ * @param {number} width
+ */
+function justifyLine(line, width) {
+  let spaces = trimGlyphs(line.glyphs).filter((glyph) => glyph.char === " ");
+  let extra = width - line.width;
+  if (spaces.length === 0 || extra <= 0) return;
+
+  let shift = 0;
+  let count = 0;
+
+  for (let glyph of line.glyphs) {
+    glyph.x += shift;
+    glyph.cursor += shift;
+
+    if (spaces.includes(glyph)) {
+      count += 1;
+      let next = Math.floor((extra * count) / spaces.length);
+      glyph.advance += next - shift;
+      shift = next;
+    }
+  }
+
+  line.width = width;
+}
+
+/**
+ * Draws text that has already been laid out with {@link layoutText}. Effects
+ * are drawn one line at a time.
+ * @param {Context} ctx
+ * @param {TextLayout} layout
+ * @param {number} x The x position of the box.
+ * @param {number} y The y position of the box.
+ * @param {string} color
+ * @param {TextStyle} [style]
+ */
+export function drawTextLayout(ctx, layout, x, y, color, style = {}) {
+  let count = 0;
+
+  for (let line of layout.lines) {
+    let glyphs = styleGlyphs(line.glyphs, style, count);
+    drawStyledGlyphs(ctx, glyphs, x, y, color, style, layout.scale);
+    count += line.glyphs.length;
+  }
+}
+
+/**
+ * Wraps and aligns text inside a box, then draws it.
+ * @param {Context} ctx
+ * @param {Font | FontStack} font
+ * @param {string} text
+ * @param {number} x The x position of the box.
+ * @param {number} y The y position of the box.
+ * @param {string} color
+ * @param {TextOptions & WrapOptions & TextBoxOptions & TextStyle} [options]
+ * @returns {TextLayout} The layout, for hit testing.
+ */
+export function drawTextBox(ctx, font, text, x, y, color, options = {}) {
+  let layout = layoutText(font, text, options);
+  drawTextLayout(ctx, layout, x, y, color, options);
+  return layout;
+}
+
+/**
+ * Finds the character at a point in a text layout.
+ * @param {TextLayout} layout
+ * @param {number} x Relative to the top left corner of the box.
+ * @param {number} y
+ * @returns {number | undefined} The index of the character in the text, or
+ * `undefined` if there isn't one at that point.
+ */
+export function hitTestText(layout, x, y) {
+  let line = layout.lines.find(
+    (line) => y >= line.y && y < line.y + layout.lineHeight,
+  );
+
+  let glyph = line?.glyphs.find(
+    (glyph) => x >= glyph.cursor && x < glyph.cursor + glyph.advance,
+  );
+
+  return glyph?.index;
+}
+
+/**
+ * Finds the caret position that is closest to a point in a text layout (e.g.
+ * to move the caret to where a text input was clicked).
+ * @param {TextLayout} layout
+ * @param {number} x Relative to the top left corner of the box.
+ * @param {number} y
+ * @returns {number} The index in the text that the caret is before.
+ */
+export function getCaretIndex(layout, x, y) {
+  let line =
+    layout.lines.filter((line) => line.y <= y).pop() ?? layout.lines[0];
+
+  for (let glyph of line.glyphs) {
+    if (x < glyph.cursor + glyph.advance / 2) return glyph.index;
+  }
+
+  return line.end;
+}
+
+/**
+ * Works out where to draw a caret in a text layout.
+ * @param {TextLayout} layout
+ * @param {number} index The index in the text that the caret is before.
+ * @returns {{ x: number, y: number, height: number }}
+ */
+export function getCaretPosition(layout, index) {
+  let line =
+    layout.lines.find((line) => index <= line.end) ??
+    layout.lines[layout.lines.length - 1];
+
+  let glyph = line.glyphs.find((glyph) => glyph.index >= index);
+  let last = line.glyphs[line.glyphs.length - 1];
+  let x = glyph?.cursor ?? (last ? last.cursor + last.advance : line.x);
+
+  return { x, y: line.y, height: layout.lineHeight };
+}
@@ -0,0 +1,575 @@
+// @ts-check
+import { Font, getTexturePixels } from "./font.js";
+
+/**
+ * @typedef {import("./font.js").Table} Table
+ *
+ * @typedef {import("./font.js").PixelData} Pixels
+ *
+ * @typedef {object} BitmapGlyph
+ * A glyph from a bitmap font format, where each pixel is either on or off.
+ * @prop {number[]} codePoints The code points that are drawn with this glyph.
+ * @prop {number} x The position of the bitmap within the glyph's cell.
+ * @prop {number} y
+ * @prop {number} width
+ * @prop {number} height
+ * @prop {boolean[]} bits The bitmap's pixels, one row at a time.
+ * @prop {number} advance
+ *
+ * @typedef {object} GridLayout
+ * Describes where the glyphs for a set of code points are placed when they're
+ * arranged into a font texture.
+ * @prop {number} startCharCode The char code of the first cell in the grid.
+ * @prop {number} length The number of cells that are used.
+ * @prop {Map<number, number>} charCodes Maps each code point to the char code
+ * of the cell that its glyph is drawn in.
+ * @prop {Table} codepage Codepage entries for the code points that couldn't be
+ * placed in their natural cell. The cells that they're placed in are mapped
+ * to -1, because their own code points aren't in the font.
+ *
+ * @typedef {object} GridSettings
+ * The size and position of the cells in a font texture.
+ * @prop {number} glyphWidth
+ * @prop {number} glyphHeight
+ * @prop {number} margin The border around the edge of the texture.
+ * @prop {number} spacing The gutter between each pair of cells.
+ *
+ * @typedef {object} GridAxis
+ * How the cells are arranged along one side of a texture.
+ * @prop {number} size The size of each cell.
+ * @prop {number} count The number of cells.
+ * @prop {number} score How confident the guess is, from 0 to 1.
+ */
+
+/**
+ * The furthest that a code point can be from the start of the grid before its
+ * glyph is moved to the end of the grid and mapped through the codepage
+ * instead.
+ */
+const MAX_NATURAL_INDEX = 256;
+
+/**
+ * Arranges a set of code points into the cells of a font texture. Code points
+ * near the lowest one are placed in their natural cells, so that they don't
+ * need codepage entries. The rest are packed into the cells that follow them.
+ * @param {number[]} codePoints
+ * @returns {GridLayout}
+ */
+export function layoutGrid(codePoints) {
+  let sorted = Array.from(new Set(codePoints)).sort((a, b) => a - b);
+  let startCharCode = sorted[0] ?? 32;
+
+  /**
+   * @type {Map<number, number>}
+   */
+  let charCodes = new Map();
+
+  /**
+   * @type {Table}
+   */
+  let codepage = {};
+
+  let length = 0;
+
+  for (let codePoint of sorted) {
+    let index = codePoint - startCharCode;
+
+    if (index < MAX_NATURAL_INDEX) {
+      charCodes.set(codePoint, codePoint);
+      length = index + 1;
+    }
+  }
+
+  for (let codePoint of sorted) {
+    if (charCodes.has(codePoint)) continue;
+    let charCode = startCharCode + length++;
+    charCodes.set(codePoint, charCode);
+    codepage[codePoint] = charCode;
+  }
+
+  for (let charCode of charCodes.values()) {
+    if (!charCodes.has(charCode)) codepage[charCode] = -1;
+  }
+
+  return { startCharCode, length, charCodes, codepage };
+}
+
+/**
+ * The widest margin or spacing that {@link detectGrid} will look for.
+ */
+const MAX_GUTTER = 8;
+
+/**
+ * The smallest cell that {@link detectGrid} will look for.
+ */
+const MIN_CELL_SIZE = 3;
+
+/**
+ * Grids without spacing need at least this many cells on a side before the
+ * empty lines in them are treated as evidence.
+ */
+const MIN_SCORED_CELLS = 8;
+
+/**
+ * How often the same line of each cell has to be empty before a grid without
+ * spacing is considered.
+ */
+const MIN_GRID_SCORE = 0.75;
+
+/**
+ * Grids that score this close to the best one are treated as equally good,
+ * so that the one with more cells can win.
+ */
+const GRID_SCORE_TOLERANCE = 0.9;
+
+/**
+ * Guesses how the glyphs in an image are arranged from the rows and columns
+ * that are completely empty. The margin and any spacing have to be empty.
+ * Grids without spacing are scored by how consistently the same line of each
+ * cell is empty, because most glyphs leave a gap on the same side of their
+ * cells. Among the grids that score well, the one with the most cells wins.
+ *
+ * Sides that don't have enough empty lines to go on are split into cells
+ * instead, and scored by how often the same line is empty within each cell
+ * (see {@link detectCellSizes}). If that doesn't work either, they're assumed
+ * to have around 16 columns, and around 16 or 6 rows depending on whether the
+ * image is square.
+ * @param {Pixels} pixels
+ * @returns {GridSettings}
+ */
+export function detectGrid(pixels) {
+  let { width, height } = pixels;
+
+  let emptyColumns = Array.from({ length: width }, (_, x) =>
+    Array.from({ length: height }).every(
+      (_, y) => !isPixelFilled(pixels, x, y),
+    ),
+  );
+
+  let emptyRows = Array.from({ length: height }, (_, y) =>
+    Array.from({ length: width }).every((_, x) => !isPixelFilled(pixels, x, y)),
+  );
+
+  let defaultColumns = 16;
+  let defaultRows = width === height ? 16 : 6;
+
+  /**
+   * @type {GridSettings}
+   */
+  let best = {
+    glyphWidth: guessGridAxis(width, defaultColumns).size,
+    glyphHeight: guessGridAxis(height, defaultRows).size,
+    margin: 0,
+    spacing: 0,
+  };
+
+  // There's nothing to go on in an empty image
+  if (emptyRows.every(Boolean)) return best;
+
+  let bestGuess = { score: 0, count: 1, spacing: 0 };
+  let hasColumns = false;
+  let hasRows = false;
+
+  for (let margin = 0; margin <= MAX_GUTTER; margin++) {
+    for (let spacing = 0; spacing <= MAX_GUTTER; spacing++) {
+      let columns = detectGridAxis(
+        emptyColumns,
+        margin,
+        spacing,
+        defaultColumns,
+      );
+
+      let rows = detectGridAxis(emptyRows, margin, spacing, defaultRows);
+      if (!columns || !rows) continue;
+
+      let guess = {
+        score: (columns.score + rows.score) / 2,
+        count: columns.count * rows.count,
+        spacing,
+      };
+
+      if (guess.count === 1) continue;
+
+      if (isBetterGridGuess(guess, bestGuess)) {
+        best = {
+          glyphWidth: columns.size,
+          glyphHeight: rows.size,
+          margin,
+          spacing,
+        };
+        bestGuess = guess;
+        hasColumns = columns.score > 0;
+        hasRows = rows.score > 0;
+      }
+    }
+  }
+
+  if (best.spacing === 0 && !(hasColumns && hasRows)) {
+    let sizes = detectCellSizes(
+      pixels,
+      best.margin,
+      hasColumns ? best.glyphWidth : undefined,
+      hasRows ? best.glyphHeight : undefined,
+    );
+
+    if (sizes) Object.assign(best, sizes);
+  }
+
+  return best;
+}
+
+/**
+ * Finds the best way to split one side of an image into cells with a given
+ * margin and spacing.
+ * @param {boolean[]} empty Whether each row (or column) is empty.
+ * @param {number} margin
+ * @param {number} spacing
+ * @param {number} defaultCount The number of cells to assume if there's no
+ * spacing and not enough empty lines to go on.
+ * @returns {GridAxis | undefined}
+ */
+function detectGridAxis(empty, margin, spacing, defaultCount) {
+  let length = empty.length - margin * 2 + spacing;
+  let isMarginEmpty = empty.every(
+    (isEmpty, index) =>
+      isEmpty || (index >= margin && index < empty.length - margin),
+  );
+
+  if (length <= 0 || !isMarginEmpty) return;
+
+  // Without spacing, there's no way to tell where the cells are. With it,
+  // the whole side could be a single row (or column) of cells.
+  /**
+   * @type {GridAxis}
+   */
+  let best =
+    spacing === 0
+      ? guessGridAxis(length, defaultCount)
+      : { size: length - spacing, count: 1, score: MIN_GRID_SCORE };
+
+  for (let count = 2; count <= length / MIN_CELL_SIZE; count++) {
+    if (length % count !== 0) continue;
+
+    let pitch = length / count;
+    let size = pitch - spacing;
+    if (size < MIN_CELL_SIZE) continue;
+
+    // Whether each line of each cell is empty, grouped by line
+    let lines = Array.from({ length: pitch }, (_, offset) =>
+      Array.from(
+        { length: count },
+        (_, cell) => empty[margin + cell * pitch + offset] ?? true,
+      ),
+    );
+
+    // The spacing after every cell has to be empty, and grids with spacing
+    // don't need any more evidence than that.
+    let gutters = lines.slice(size);
+    if (!gutters.every((cells) => cells.every(Boolean))) continue;
+
+    let score = 1;
+
+    if (spacing === 0) {
+      if (count < MIN_SCORED_CELLS) continue;
+      score = Math.max(
+        ...lines.map((cells) => cells.filter(Boolean).length / count),
+      );
+      if (score < MIN_GRID_SCORE) continue;
+    }
+
+    let axis = { size, count, score };
+    if (isBetterGridGuess(axis, best)) best = axis;
+  }
+
+  return best;
+}
+
+/**
+ * Splits one side of an image into roughly a given number of cells, for when
+ * there's nothing better to go on.
+ * @param {number} length
+ * @param {number} defaultCount
+ * @returns {GridAxis}
+ */
+function guessGridAxis(length, defaultCount) {
+  let size = Math.max(1, Math.ceil(length / defaultCount));
+  return { size, count: Math.ceil(length / size), score: 0 };
+}
+
+/**
+ * Finds the cell size for a grid without spacing when there aren't enough
+ * completely empty rows or columns to go on, which happens when the glyphs
+ * fill their cells and there are only a few of them on a side. Each way of
+ * splitting the image into cells is scored by how often the same column (and
+ * row) is empty within each cell, rather than across the whole image.
+ * @param {Pixels} pixels
+ * @param {number} margin
+ * @param {number} [glyphWidth] The width of the cells, if it's already known.
+ * @param {number} [glyphHeight] The height of the cells, if it's already known.
+ * @returns {{ glyphWidth: number, glyphHeight: number } | undefined} Nothing
+ * if no way of splitting the image scores well enough.
+ */
+function detectCellSizes(pixels, margin, glyphWidth, glyphHeight) {
+  let width = pixels.width - margin * 2;
+  let height = pixels.height - margin * 2;
+
+  /**
+   * @param {number} length
+   * @param {number} [size]
+   */
+  let getSizes = (length, size) =>
+    size
+      ? [size]
+      : Array.from({ length }, (_, index) => index + 1).filter(
+          (size) =>
+            size >= MIN_CELL_SIZE && size < length && length % size === 0,
+        );
+
+  let best;
+  let bestGuess = { score: 0, count: 1 };
+
+  for (let cellWidth of getSizes(width, glyphWidth)) {
+    for (let cellHeight of getSizes(height, glyphHeight)) {
+      let columns = Math.floor(width / cellWidth);
+      let rows = Math.floor(height / cellHeight);
+      let count = columns * rows;
+      if (count === 1) continue;
+
+      // How many cells each line within a cell is empty in
+      let emptyColumns = Array.from({ length: cellWidth }, () => 0);
+      let emptyRows = Array.from({ length: cellHeight }, () => 0);
+
+      for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+          let left = margin + column * cellWidth;
+          let top = margin + row * cellHeight;
+
+          for (let x = 0; x < cellWidth; x++) {
+            let isEmpty = Array.from({ length: cellHeight }).every(
+              (_, y) => !isPixelFilled(pixels, left + x, top + y),
+            );
+            if (isEmpty) emptyColumns[x]++;
+          }
+
+          for (let y = 0; y < cellHeight; y++) {
+            let isEmpty = Array.from({ length: cellWidth }).every(
+              (_, x) => !isPixelFilled(pixels, left + x, top + y),
+            );
+            if (isEmpty) emptyRows[y]++;
+          }
+        }
+      }
+
+      let columnScore = Math.max(...emptyColumns) / count;
+      let rowScore = Math.max(...emptyRows) / count;
+      if (columnScore < MIN_GRID_SCORE || rowScore < MIN_GRID_SCORE) continue;
+
+      let guess = { score: (columnScore + rowScore) / 2, count };
+
+      if (isBetterGridGuess(guess, bestGuess)) {
+        best = { glyphWidth: cellWidth, glyphHeight: cellHeight };
+        bestGuess = guess;
+      }
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Compares two guesses at a grid. Guesses with similar scores are compared
+ * by how many cells they have, and then by whether they found any spacing.
+ * @param {{ score: number, count: number, spacing?: number }} guess
+ * @param {{ score: number, count: number, spacing?: number }} best
+ */
+function isBetterGridGuess(guess, best) {
+  if (guess.score * GRID_SCORE_TOLERANCE > best.score) return true;
+  if (guess.score < best.score * GRID_SCORE_TOLERANCE) return false;
+  if (guess.count !== best.count) return guess.count > best.count;
+  if (guess.score !== best.score) return guess.score > best.score;
+  return (guess.spacing ?? 0) > (best.spacing ?? 0);
+}
+
+/**
+ * Creates a blank texture that is big enough to hold a grid of glyphs.
+ * @param {number} length The number of cells in the grid.
+ * @param {number} glyphWidth
+ * @param {number} glyphHeight
+ * @param {number} columns
+ * @returns {HTMLCanvasElement}
+ */
+export function createGridTexture(
+  length,
+  glyphWidth,
+  glyphHeight,
+  columns = 16,
+) {
+  let rows = Math.max(1, Math.ceil(length / columns));
+  let canvas = document.createElement("canvas");
+  canvas.width = columns * glyphWidth;
+  canvas.height = rows * glyphHeight;
+  return canvas;
+}
+
+/**
+ * Returns whether the pixel at a given position is opaque.
+ * @param {Pixels} pixels
+ * @param {number} x
+ * @param {number} y
+ */
+export function isPixelFilled(pixels, x, y) {
+  if (x < 0 || y < 0 || x >= pixels.width || y >= pixels.height) return false;
+  return pixels.data[(x + y * pixels.width) * 4 + 3] > 0;
+}
+
+/**
+ * Finds the smallest rectangle that contains the opaque pixels in part of a
+ * texture, relative to that part.
+ * @param {Pixels} pixels
+ * @param {{ x: number, y: number, width: number, height: number }} rect
+ * @returns {{ left: number, top: number, width: number, height: number } | undefined}
+ * Nothing if the part doesn't have any opaque pixels.
+ */
+export function getInkBounds(pixels, rect) {
+  let left = Infinity;
+  let top = Infinity;
+  let right = -Infinity;
+  let bottom = -Infinity;
+
+  for (let y = 0; y < rect.height; y++) {
+    for (let x = 0; x < rect.width; x++) {
+      if (isPixelFilled(pixels, rect.x + x, rect.y + y)) {
+        left = Math.min(left, x);
+        top = Math.min(top, y);
+        right = Math.max(right, x);
+        bottom = Math.max(bottom, y);
+      }
+    }
+  }
+
+  if (left === Infinity) return;
+  return { left, top, width: right - left + 1, height: bottom - top + 1 };
+}
+
+/**
+ * Reads the bitmap for a glyph's cell from its page's pixels. Packed glyphs
+ * are put back where they were trimmed from in their cells, and glyphs that
+ * aren't in any of the pages are empty.
+ * @param {Font} font
+ * @param {number} charCode
+ * @returns {boolean[]} The cell's pixels, one row at a time.
+ */
+export function getGlyphBits(font, charCode) {
+  let { glyphWidth, glyphHeight } = font;
+  let page = font.pageIndex(charCode);
+  let pixels = getTexturePixels(font, page);
+  let hasGlyph = font.hasGlyph(charCode);
+  let { x, y, width, height, left = 0, top = 0 } = font.glyphRect(charCode);
+
+  return Array.from({ length: glyphWidth * glyphHeight }, (_, index) => {
+    let cx = (index % glyphWidth) - left;
+    let cy = Math.floor(index / glyphWidth) - top;
+    let isInRect = cx >= 0 && cy >= 0 && cx < width && cy < height;
+    return hasGlyph && isInRect && isPixelFilled(pixels, x + cx, y + cy);
+  });
+}
+
+/**
+ * Creates a font from the glyphs in a bitmap font format. Each glyph is drawn
+ * into the cell for its lowest code point, and the rest of its code points are
+ * mapped onto that cell with the codepage.
+ * @param {BitmapGlyph[]} glyphs
+ * @param {object} options
+ * @param {number} options.glyphWidth
+ * @param {number} options.glyphHeight
+ * @param {number} [options.lineHeight]
+ * @param {number} [options.baseline]
+ * @param {number} [options.ascent]
+ * @param {number} [options.descent]
+ * @param {number} [options.capHeight]
+ * @param {number} [options.xHeight]
+ * @param {number} [options.xOffset] The offset for every glyph.
+ * @param {number} [options.yOffset]
+ * @param {number} [options.missingGlyph] The code point of the glyph to draw
+ * for characters that aren't in the font.
+ * @returns {Font<HTMLCanvasElement>}
+ */
+export function createFontFromBitmapGlyphs(glyphs, options) {
+  let { glyphWidth, glyphHeight, xOffset = 0, yOffset = 0 } = options;
+  glyphs = glyphs.filter((glyph) => glyph.codePoints.length > 0);
+
+  let layout = layoutGrid(glyphs.map((glyph) => Math.min(...glyph.codePoints)));
+
+  let columns = 16;
+
+  let texture = createGridTexture(
+    layout.length,
+    glyphWidth,
+    glyphHeight,
+    columns,
+  );
+
+  let ctx = texture.getContext("2d");
+  if (!ctx) throw new Error("Couldn't create canvas!");
+  let imageData = ctx.createImageData(texture.width, texture.height);
+
+  /** @type {Table} */
+  let advanceWidths = {};
+  /** @type {Table} */
+  let xOffsets = {};
+  /** @type {Table} */
+  let yOffsets = {};
+  /** @type {Table} */
+  let codepage = { ...layout.codepage };
+
+  for (let glyph of glyphs) {
+    let [codePoint, ...aliases] = glyph.codePoints.sort((a, b) => a - b);
+    let charCode = /** @type {number} */ (layout.charCodes.get(codePoint));
+    let index = charCode - layout.startCharCode;
+    let cellX = (index % columns) * glyphWidth;
+    let cellY = Math.floor(index / columns) * glyphHeight;
+
+    for (let y = 0; y < glyph.height; y++) {
+      for (let x = 0; x < glyph.width; x++) {
+        let px = glyph.x + x;
+        let py = glyph.y + y;
+        let isInCell =
+          px >= 0 && py >= 0 && px < glyphWidth && py < glyphHeight;
+        if (!isInCell || !glyph.bits[x + y * glyph.width]) continue;
+        // Opaque black, like the textures from normalizeFontTexture
+        imageData.data[(cellX + px + (cellY + py) * texture.width) * 4 + 3] =
+          255;
+      }
+    }
+
+    for (let alias of aliases) codepage[alias] = charCode;
+    if (glyph.advance !== glyphWidth) advanceWidths[charCode] = glyph.advance;
+    if (xOffset !== 0) xOffsets[charCode] = xOffset;
+    if (yOffset !== 0) yOffsets[charCode] = yOffset;
+  }
+
+  ctx.putImageData(imageData, 0, 0);
+
+  let missingGlyph =
+    options.missingGlyph === undefined
+      ? undefined
+      : (layout.charCodes.get(options.missingGlyph) ??
+        codepage[options.missingGlyph]);
+
+  return new Font(texture, {
+    glyphWidth,
+    glyphHeight,
+    lineHeight: options.lineHeight ?? glyphHeight,
+    baseline: options.baseline,
+    ascent: options.ascent,
+    descent: options.descent,
+    capHeight: options.capHeight,
+    xHeight: options.xHeight,
+    startCharCode: layout.startCharCode,
+    advanceWidths,
+    xOffsets,
+    yOffsets,
+    codepage,
+    missingGlyph,
+  });
+}
@@ -0,0 +1,96 @@
+// @ts-check
+
+/**
+ * @typedef {import("./snapshot.js").Snapshot} Snapshot
+ *
+ * @typedef {object} LibraryFont
+ * A font that is stored in the library.
+ * @prop {string} id
+ * @prop {string} name
+ * @prop {number} updatedAt The time the font was last saved (in ms).
+ * @prop {Snapshot} snapshot
+ */
+
+const databaseName = "tinyfonts";
+const databaseVersion = 1;
+const storeName = "fonts";
+
+/**
+ * @type {Promise<IDBDatabase> | undefined}
+ */
+let databasePromise;
+
+/**
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  return (databasePromise ??= new Promise((resolve, reject) => {
+    let request = indexedDB.open(databaseName, databaseVersion);
+
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(storeName, { keyPath: "id" });
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  }));
+}
+
+/**
+ * Runs a request against the font store and waits for its result.
+ * @template T
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => IDBRequest<T>} createRequest
+ * @returns {Promise<T>}
+ */
+async function runRequest(mode, createRequest) {
+  let database = await openDatabase();
+  let transaction = database.transaction(storeName, mode);
+  let request = createRequest(transaction.objectStore(storeName));
+
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Lists the fonts in the library, ordered by name.
+ * @returns {Promise<LibraryFont[]>}
+ */
+export async function listFonts() {
+  let fonts = await runRequest("readonly", (store) => store.getAll());
+  return fonts.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<LibraryFont | undefined>}
+ */
+export function getFont(id) {
+  return runRequest("readonly", (store) => store.get(id));
+}
+
+/**
+ * Adds a font to the library, or replaces the existing font with the same id.
+ * @param {LibraryFont} font
+ */
+export async function putFont(font) {
+  await runRequest("readwrite", (store) => store.put(font));
+}
+
+/**
+ * @param {string} id
+ */
+export async function deleteFont(id) {
+  await runRequest("readwrite", (store) => store.delete(id));
+}
+
+/**
+ * @param {string} name
+ * @param {Snapshot} snapshot
+ * @returns {LibraryFont}
+ */
+export function createLibraryFont(name, snapshot) {
+  return { id: crypto.randomUUID(), name, updatedAt: Date.now(), snapshot };
+}
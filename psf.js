@@ -0,0 +1,250 @@
+// @ts-check
+import { createFontFromBitmapGlyphs, getGlyphBits } from "./grid.js";
+
+/**
+ * @typedef {import("./font.js").Font} Font
+ *
+ * @typedef {object} PSF
+ * A PC Screen Font, as used by the Linux console.
+ * @prop {number} width
+ * @prop {number} height
+ * @prop {boolean[][]} glyphs The pixels in each glyph, one row at a time.
+ * @prop {number[][] | undefined} codePoints The code points for each glyph,
+ * if the font has a unicode table.
+ */
+
+export const psfFileExtensions = [".psf", ".psfu"];
+
+const PSF1_MAGIC = 0x0436;
+const PSF1_MODE_512 = 0x01;
+const PSF1_MODE_HAS_TABLE = 0x02;
+const PSF1_SEPARATOR = 0xffff;
+const PSF1_START_SEQUENCE = 0xfffe;
+
+const PSF2_MAGIC = 0x864ab572;
+const PSF2_HAS_UNICODE_TABLE = 0x01;
+const PSF2_SEPARATOR = 0xff;
+const PSF2_START_SEQUENCE = 0xfe;
+
+/**
+ * Parses a version 1 or version 2 PSF font.
+ * @param {ArrayBuffer} buffer
+ * @returns {PSF}
+ */
+export function parsePSF(buffer) {
+  let view = new DataView(buffer);
+  let bytes = new Uint8Array(buffer);
+
+  if (view.byteLength >= 4 && view.getUint32(0, true) === PSF2_MAGIC) {
+    let headerSize = view.getUint32(8, true);
+    let flags = view.getUint32(12, true);
+    let length = view.getUint32(16, true);
+    let charSize = view.getUint32(20, true);
+    let height = view.getUint32(24, true);
+    let width = view.getUint32(28, true);
+    let tableOffset = headerSize + length * charSize;
+
+    return {
+      width,
+      height,
+      glyphs: parseGlyphs(bytes, headerSize, length, width, height),
+      codePoints:
+        flags & PSF2_HAS_UNICODE_TABLE
+          ? parsePSF2Table(bytes.subarray(tableOffset), length)
+          : undefined,
+    };
+  }
+
+  if (view.byteLength >= 4 && view.getUint16(0, true) === PSF1_MAGIC) {
+    let mode = view.getUint8(2);
+    let height = view.getUint8(3);
+    let length = mode & PSF1_MODE_512 ? 512 : 256;
+    let tableOffset = 4 + length * height;
+
+    return {
+      width: 8,
+      height,
+      glyphs: parseGlyphs(bytes, 4, length, 8, height),
+      codePoints:
+        mode & PSF1_MODE_HAS_TABLE
+          ? parsePSF1Table(view, tableOffset, length)
+          : undefined,
+    };
+  }
+
+  throw new Error("Not a PSF font!");
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @param {number} length
+ * @param {number} width
+ * @param {number} height
+ * @returns {boolean[][]}
+ */
+function parseGlyphs(bytes, offset, length, width, height) {
+  let bytesPerRow = Math.ceil(width / 8);
+  let charSize = bytesPerRow * height;
+
+  return Array.from({ length }, (_, index) =>
+    Array.from({ length: width * height }, (_, pixel) => {
+      let x = pixel % width;
+      let y = Math.floor(pixel / width);
+      let byte = bytes[offset + index * charSize + y * bytesPerRow + (x >> 3)];
+      return ((byte >> (7 - (x & 7))) & 1) === 1;
+    }),
+  );
+}
+
+/**
+ * Reads the code points for each glyph from a PSF1 unicode table. Sequences
+ * of code points (for combining characters) are ignored.
+ * @param {DataView} view
+ * @param {number} offset
+ * @param {number} length
+ * @returns {number[][]}
+ */
+function parsePSF1Table(view, offset, length) {
+  /**
+   * @type {number[][]}
+   */
+  let table = Array.from({ length }, () => []);
+  let index = 0;
+  let isSequence = false;
+
+  for (let i = offset; i + 1 < view.byteLength && index < length; i += 2) {
+    let value = view.getUint16(i, true);
+
+    if (value === PSF1_SEPARATOR) {
+      index++;
+      isSequence = false;
+    } else if (value === PSF1_START_SEQUENCE) {
+      isSequence = true;
+    } else if (!isSequence) {
+      table[index].push(value);
+    }
+  }
+
+  return table;
+}
+
+/**
+ * Reads the code points for each glyph from a PSF2 unicode table, where they
+ * are encoded as UTF-8. Sequences of code points are ignored.
+ * @param {Uint8Array} bytes
+ * @param {number} length
+ * @returns {number[][]}
+ */
+function parsePSF2Table(bytes, length) {
+  let decoder = new TextDecoder();
+
+  /**
+   * @type {number[][]}
+   */
+  let table = [];
+  let start = 0;
+
+  for (let i = 0; i < bytes.length && table.length < length; i++) {
+    if (bytes[i] !== PSF2_SEPARATOR) continue;
+
+    let entry = bytes.subarray(start, i);
+    let sequenceStart = entry.indexOf(PSF2_START_SEQUENCE);
+    if (sequenceStart >= 0) entry = entry.subarray(0, sequenceStart);
+
+    let chars = Array.from(decoder.decode(entry));
+    table.push(
+      chars.map((char) => /** @type {number} */ (char.codePointAt(0))),
+    );
+    start = i + 1;
+  }
+
+  return table;
+}
+
+/**
+ * Creates a font from a PSF font. Fonts without a unicode table use the index
+ * of each glyph as its code point.
+ * @param {PSF} psf
+ * @returns {import("./font.js").Font<HTMLCanvasElement>}
+ */
+export function createFontFromPSF(psf) {
+  return createFontFromBitmapGlyphs(
+    psf.glyphs.map((bits, index) => ({
+      codePoints: psf.codePoints ? (psf.codePoints[index] ?? []) : [index],
+      x: 0,
+      y: 0,
+      width: psf.width,
+      height: psf.height,
+      bits,
+      advance: psf.width,
+    })),
+    { glyphWidth: psf.width, glyphHeight: psf.height },
+  );
+}
+
+/**
+ * Converts a font into a PSF2 font, with a unicode table that includes the
+ * font's codepage. PSF fonts are monospaced, so the font's advance widths and
+ * offsets are not included.
+ * @param {Font} font
+ * @returns {ArrayBuffer}
+ */
+export function exportPSF(font) {
+  let { glyphWidth: width, glyphHeight: height } = font;
+  let charCodes = font.charCodes();
+  let length = charCodes.length;
+  let bytesPerRow = Math.ceil(width / 8);
+  let charSize = bytesPerRow * height;
+  let headerSize = 32;
+  let encoder = new TextEncoder();
+
+  /**
+   * The code points for each glyph. Glyphs that the codepage remaps don't
+   * stand for their own char codes.
+   * @type {number[][]}
+   */
+  let codePoints = charCodes.map((charCode) =>
+    font.codepage[charCode] === undefined ? [charCode] : [],
+  );
+
+  for (let [key, charCode] of Object.entries(font.codepage)) {
+    if (charCode !== undefined && font.hasGlyph(charCode)) {
+      codePoints[charCodes.indexOf(charCode)].push(Number(key));
+    }
+  }
+
+  let table = codePoints.flatMap((entry) => [
+    ...encoder.encode(String.fromCodePoint(...entry)),
+    PSF2_SEPARATOR,
+  ]);
+
+  let bytes = new Uint8Array(headerSize + length * charSize + table.length);
+  let view = new DataView(bytes.buffer);
+
+  view.setUint32(0, PSF2_MAGIC, true);
+  view.setUint32(4, 0, true); // version
+  view.setUint32(8, headerSize, true);
+  view.setUint32(12, PSF2_HAS_UNICODE_TABLE, true);
+  view.setUint32(16, length, true);
+  view.setUint32(20, charSize, true);
+  view.setUint32(24, height, true);
+  view.setUint32(28, width, true);
+
+  for (let index = 0; index < length; index++) {
+    let bits = getGlyphBits(font, charCodes[index]);
+    let offset = headerSize + index * charSize;
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (bits[x + y * width]) {
+          bytes[offset + y * bytesPerRow + (x >> 3)] |= 0x80 >> (x & 7);
+        }
+      }
+    }
+  }
+
+  bytes.set(table, headerSize + length * charSize);
+
+  return bytes.buffer;
+}
@@ -0,0 +1,271 @@
+// @ts-check
+
+/**
+ * @typedef {import("./font.js").Table} Table
+ * @typedef {import("./font.js").KerningTable} KerningTable
+ * @typedef {import("./font.js").RectTable} RectTable
+ * @typedef {import("./font.js").TextAlign} TextAlign
+ * @typedef {import("./font.js").OverflowWrap} OverflowWrap
+ * @typedef {"none" | "typewriter" | "wave" | "shake"} PreviewAnimation
+ *
+ * @typedef {object} Snapshot
+ * A serialisable snapshot of the current state of the app.
+ * @prop {number} version
+ * @prop {string} previewText
+ * @prop {string} previewForegroundColor
+ * @prop {string} previewBackgroundColor
+ * @prop {string} previewStrokeColor
+ * @prop {number} previewStrokeBits
+ * @prop {number} previewPadding
+ * @prop {number} previewCanvasWidth
+ * @prop {boolean} previewBackgroundTransparency
+ * @prop {boolean} previewTextWrappingEnabled
+ * @prop {TextAlign} previewTextAlign
+ * @prop {OverflowWrap} previewOverflowWrap
+ * @prop {boolean} previewHyphens
+ * @prop {number} previewMaxLines The maximum number of lines in the preview,
+ * or 0 for no limit.
+ * @prop {boolean} previewMarkupEnabled
+ * @prop {boolean} previewBold
+ * @prop {boolean} previewItalic
+ * @prop {boolean} previewUnderline
+ * @prop {boolean} previewStrikethrough
+ * @prop {PreviewAnimation} previewAnimation
+ * @prop {number} previewZoom How many times bigger than the text's pixels the
+ * preview's pixels are on the screen.
+ * @prop {boolean} previewPixelGrid
+ * @prop {string[]} previewFallbackFontIds
+ * @prop {boolean} previewMarkFallbacks
+ * @prop {boolean} previewTint Whether the preview is drawn in the foreground
+ * colour, rather than the texture's own colours.
+ * @prop {string} textureUrl
+ * @prop {number} glyphWidth
+ * @prop {number} glyphHeight
+ * @prop {number} margin
+ * @prop {number} spacing
+ * @prop {number} lineHeight
+ * @prop {number} baseline
+ * @prop {number} ascent
+ * @prop {number} descent
+ * @prop {number} capHeight
+ * @prop {number} xHeight
+ * @prop {number} startCharCode
+ * @prop {Table} advanceWidths
+ * @prop {Table} xOffsets
+ * @prop {Table} yOffsets
+ * @prop {Table} codepage
+ * @prop {number} [missingGlyph]
+ * @prop {KerningTable} kerning
+ * @prop {RectTable} [glyphRects]
+ * @prop {string} [tintColor]
+ * @prop {SnapshotPage[]} pages The font's texture pages after the first.
+ *
+ * @typedef {object} SnapshotPage
+ * @prop {string} textureUrl
+ * @prop {number} startCharCode
+ * @prop {RectTable} [glyphRects]
+ *
+ * @typedef {object} ProjectFile
+ * A font that can be saved to (and opened from) a single `.tinyfont` file.
+ * @prop {"tinyfont"} format
+ * @prop {string} name
+ * @prop {Snapshot} snapshot The snapshot, with its textures embedded as PNG
+ * data URLs.
+ */
+
+/**
+ * Increment this value if there's a breaking change to the snapshot format,
+ * and add a migration from the previous version to {@link migrations}.
+ */
+export const snapshotVersion = 13;
+
+/**
+ * Functions that upgrade a snapshot from the version they're keyed by to the
+ * next version.
+ * @type {Record<number, (snapshot: any) => any>}
+ */
+const migrations = {
+  // Version 2 made kerning pairs required.
+  1: (snapshot) => ({
+    ...snapshot,
+    version: 2,
+    kerning: snapshot.kerning ?? {},
+  }),
+  // Version 3 added fallback fonts to the preview.
+  2: (snapshot) => ({
+    ...snapshot,
+    version: 3,
+    previewFallbackFontIds: [],
+    previewMarkFallbacks: false,
+  }),
+  // Version 4 added text alignment to the preview.
+  3: (snapshot) => ({
+    ...snapshot,
+    version: 4,
+    previewTextAlign: "left",
+  }),
+  // Version 5 added overflow handling to the preview.
+  4: (snapshot) => ({
+    ...snapshot,
+    version: 5,
+    previewOverflowWrap: "normal",
+    previewHyphens: false,
+    previewMaxLines: 0,
+  }),
+  // Version 6 added colour markup to the preview.
+  5: (snapshot) => ({
+    ...snapshot,
+    version: 6,
+    previewMarkupEnabled: false,
+  }),
+  // Version 7 added animations to the preview.
+  6: (snapshot) => ({
+    ...snapshot,
+    version: 7,
+    previewAnimation: "none",
+  }),
+  // Version 8 added zoom to the preview.
+  7: (snapshot) => ({
+    ...snapshot,
+    version: 8,
+    previewZoom: 1,
+    previewPixelGrid: false,
+  }),
+  // Version 9 added synthetic styles to the preview.
+  8: (snapshot) => ({
+    ...snapshot,
+    version: 9,
+    previewBold: false,
+    previewItalic: false,
+    previewUnderline: false,
+    previewStrikethrough: false,
+  }),
+  // Version 10 added baseline metrics. The baseline was always at the bottom
+  // of the glyph cells before.
+  9: (snapshot) => ({
+    ...snapshot,
+    version: 10,
+    baseline: snapshot.glyphHeight,
+    ascent: snapshot.glyphHeight,
+    descent: 0,
+    capHeight: snapshot.glyphHeight,
+    xHeight: Math.round(snapshot.glyphHeight * 0.7),
+  }),
+  // Version 11 added margins and spacing around the glyphs in the texture.
+  10: (snapshot) => ({
+    ...snapshot,
+    version: 11,
+    margin: 0,
+    spacing: 0,
+  }),
+  // Version 12 added texture pages, for fonts with more than one range of
+  // glyphs.
+  11: (snapshot) => ({
+    ...snapshot,
+    version: 12,
+    pages: [],
+  }),
+  // Version 13 added textures with their own colours. Older fonts were always
+  // drawn in the preview's foreground colour.
+  12: (snapshot) => ({
+    ...snapshot,
+    version: 13,
+    previewTint: true,
+  }),
+};
+
+/**
+ * Upgrades a snapshot that was saved by an older version of the app.
+ * @param {{ version: number }} snapshot
+ * @returns {Snapshot | undefined} The upgraded snapshot, or `undefined` if it
+ * can't be upgraded.
+ */
+export function migrateSnapshot(snapshot) {
+  let upgraded = /** @type {any} */ (snapshot);
+
+  while (upgraded.version !== snapshotVersion) {
+    let migrate = migrations[upgraded.version];
+    if (!migrate) return;
+    upgraded = migrate(upgraded);
+  }
+
+  return upgraded;
+}
+
+export const projectFileExtension = ".tinyfont";
+
+/**
+ * Creates the contents of a project file, embedding the snapshot's textures
+ * so that the file can be opened on other machines.
+ * @param {string} name
+ * @param {Snapshot} snapshot
+ * @returns {Promise<string>}
+ */
+export async function createProjectFile(name, snapshot) {
+  let textureUrl = await embedImageUrl(snapshot.textureUrl);
+
+  let pages = await Promise.all(
+    snapshot.pages.map(async (page) => ({
+      ...page,
+      textureUrl: await embedImageUrl(page.textureUrl),
+    })),
+  );
+
+  /**
+   * @type {ProjectFile}
+   */
+  let project = {
+    format: "tinyfont",
+    name,
+    snapshot: { ...snapshot, textureUrl, pages },
+  };
+
+  return JSON.stringify(project);
+}
+
+/**
+ * Reads the contents of a project file, upgrading its snapshot if it was
+ * saved by an older version of the app.
+ * @param {string} json
+ * @returns {{ name: string, snapshot: Snapshot }}
+ */
+export function parseProjectFile(json) {
+  let project = JSON.parse(json);
+
+  if (project?.format !== "tinyfont") {
+    throw new Error("Not a Tinyfonts project file!");
+  }
+
+  let snapshot = migrateSnapshot(project.snapshot);
+
+  if (!snapshot) {
+    throw new Error("Project was saved by a newer version of Tinyfonts!");
+  }
+
+  return { name: project.name, snapshot };
+}
+
+/**
+ * Converts an image URL into a PNG data URL.
+ * @param {string} url
+ * @returns {Promise<string>}
+ */
+async function embedImageUrl(url) {
+  if (url.startsWith("data:image/png")) {
+    return url;
+  }
+
+  let image = new Image();
+  image.src = url;
+  await image.decode();
+
+  let canvas = document.createElement("canvas");
+  let ctx = canvas.getContext("2d");
+  if (!ctx) throw new Error("Couldn't create canvas!");
+
+  canvas.width = image.width;
+  canvas.height = image.height;
+  ctx.drawImage(image, 0, 0);
+
+  return canvas.toDataURL("image/png");
+}
@@ -0,0 +1,856 @@
+// @ts-check
+import { getTexturePixels } from "./font.js";
+import { isPixelFilled } from "./grid.js";
+
+/**
+ * @typedef {import("./font.js").Font} Font
+ *
+ * @typedef {[x: number, y: number][]} Contour
+ *
+ * @typedef {object} Glyph
+ * @prop {number} advanceWidth
+ * @prop {Contour[]} contours
+ *
+ * @typedef {{ tag: string, data: Uint8Array }} Table
+ */
+
+/**
+ * The number of font units in each pixel.
+ */
+const UNITS_PER_PIXEL = 128;
+
+/**
+ * Converts a font into a TrueType font, by tracing the outlines of the pixels
+ * in each glyph.
+ * @param {Font} font
+ * @param {object} options
+ * @param {string} options.familyName
+ * @returns {ArrayBuffer}
+ */
+export function exportTrueType(font, { familyName }) {
+  let u = UNITS_PER_PIXEL;
+  let { baseline } = font;
+  let ascender = font.ascent * u;
+  let descender = -font.descent * u;
+
+  // Keep the font's line height, when it's more than its ascent and descent
+  let lineGap = Math.max(0, font.lineHeight - font.ascent - font.descent) * u;
+
+  // The first glyph (.notdef) is shown for characters that aren't in the font
+  let charCodes = [
+    font.missingGlyph ?? font.startCharCode,
+    ...font.charCodes(),
+  ];
+
+  /**
+   * @type {Glyph[]}
+   */
+  let glyphs = charCodes.map((charCode) => ({
+    advanceWidth: Math.max(0, font.advance(charCode)) * u,
+    contours: traceGlyph(font, charCode).map((contour) =>
+      contour.map(([x, y]) => [x * u, (baseline - y) * u]),
+    ),
+  }));
+
+  /**
+   * Maps each code point to the index of its glyph.
+   * @type {Map<number, number>}
+   */
+  let cmap = new Map();
+
+  // Glyphs that the codepage remaps don't stand for their own char codes
+  for (let index = 1; index < charCodes.length; index++) {
+    if (font.codepage[charCodes[index]] === undefined) {
+      cmap.set(charCodes[index], index);
+    }
+  }
+
+  for (let [key, charCode] of Object.entries(font.codepage)) {
+    if (charCode !== undefined && font.hasGlyph(charCode)) {
+      cmap.set(Number(key), charCodes.indexOf(charCode, 1));
+    }
+  }
+
+  let bounds = glyphs.map((glyph) => getBounds(glyph.contours));
+  let xMin = Math.min(0, ...bounds.map((bounds) => bounds.xMin));
+  let yMin = Math.min(0, ...bounds.map((bounds) => bounds.yMin));
+  let xMax = Math.max(0, ...bounds.map((bounds) => bounds.xMax));
+  let yMax = Math.max(0, ...bounds.map((bounds) => bounds.yMax));
+  let codePoints = Array.from(cmap.keys()).sort((a, b) => a - b);
+
+  let metrics = {
+    unitsPerEm: font.glyphHeight * u,
+    ascender,
+    descender,
+    lineGap,
+    capHeight: font.capHeight * u,
+    xHeight: font.xHeight * u,
+    xMin,
+    yMin,
+    xMax,
+    yMax,
+    firstCharIndex: Math.min(0xffff, codePoints[0] ?? 0),
+    lastCharIndex: Math.min(0xffff, codePoints[codePoints.length - 1] ?? 0),
+    averageWidth: Math.round(
+      glyphs.reduce((total, glyph) => total + glyph.advanceWidth, 0) /
+        glyphs.length,
+    ),
+    lowestPixelsPerEm: font.glyphHeight,
+  };
+
+  let { glyf, loca } = createGlyfTable(glyphs, bounds);
+
+  return createFontFile([
+    createCmapTable(cmap),
+    glyf,
+    createHeadTable(metrics),
+    createHheaTable(glyphs, bounds, metrics),
+    createHmtxTable(glyphs, bounds),
+    loca,
+    createMaxpTable(glyphs),
+    createNameTable(familyName),
+    createOS2Table(metrics),
+    createPostTable(font),
+  ]);
+}
+
+/**
+ * Traces the outlines of the opaque pixels in a glyph. Outer contours run
+ * clockwise and holes run counter-clockwise, once the y axis points up.
+ * @param {Font} font
+ * @param {number} charCode
+ * @returns {Contour[]} Contours in pixel coordinates, relative to the origin
+ * where the glyph is drawn (including its offsets).
+ */
+function traceGlyph(font, charCode) {
+  let pixels = getTexturePixels(font, font.pageIndex(charCode));
+  let rect = font.glyphRect(charCode);
+  let xOffset = (rect.left ?? 0) + (font.xOffsets[charCode] ?? 0);
+  let yOffset = (rect.top ?? 0) + (font.yOffsets[charCode] ?? 0);
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   */
+  let isFilled = (x, y) => {
+    if (x < 0 || y < 0 || x >= rect.width || y >= rect.height) return false;
+    return isPixelFilled(pixels, rect.x + x, rect.y + y);
+  };
+
+  /**
+   * Edges between filled and empty pixels, keyed by their start point. Each
+   * edge is directed so that the filled pixel is on its right (with the y axis
+   * pointing down).
+   * @type {Map<string, [number, number][]>}
+   */
+  let edges = new Map();
+
+  /**
+   * @param {number} x0
+   * @param {number} y0
+   * @param {number} x1
+   * @param {number} y1
+   */
+  let addEdge = (x0, y0, x1, y1) => {
+    let key = `${x0},${y0}`;
+    let ends = edges.get(key) ?? [];
+    ends.push([x1, y1]);
+    edges.set(key, ends);
+  };
+
+  for (let y = 0; y < rect.height; y++) {
+    for (let x = 0; x < rect.width; x++) {
+      if (!isFilled(x, y)) continue;
+      if (!isFilled(x, y - 1)) addEdge(x, y, x + 1, y);
+      if (!isFilled(x, y + 1)) addEdge(x + 1, y + 1, x, y + 1);
+      if (!isFilled(x - 1, y)) addEdge(x, y + 1, x, y);
+      if (!isFilled(x + 1, y)) addEdge(x + 1, y, x + 1, y + 1);
+    }
+  }
+
+  /**
+   * @type {Contour[]}
+   */
+  let contours = [];
+
+  for (let [key, ends] of edges) {
+    while (ends.length) {
+      let [x, y] = key.split(",").map(Number);
+
+      /**
+       * @type {Contour}
+       */
+      let contour = [[x, y]];
+      let next = /** @type {[number, number]} */ (ends.pop());
+
+      while (next[0] !== x || next[1] !== y) {
+        contour.push(next);
+        let nextEnds = edges.get(`${next[0]},${next[1]}`);
+        next = /** @type {[number, number]} */ (nextEnds?.pop());
+      }
+
+      contours.push(
+        removeCollinearPoints(contour).map(([cx, cy]) => [
+          cx + xOffset,
+          cy + yOffset,
+        ]),
+      );
+    }
+  }
+
+  return contours;
+}
+
+/**
+ * @param {Contour} contour
+ * @returns {Contour}
+ */
+function removeCollinearPoints(contour) {
+  return contour.filter((point, index) => {
+    let prev = contour[(index - 1 + contour.length) % contour.length];
+    let next = contour[(index + 1) % contour.length];
+    let sameX = prev[0] === point[0] && point[0] === next[0];
+    let sameY = prev[1] === point[1] && point[1] === next[1];
+    return !sameX && !sameY;
+  });
+}
+
+/**
+ * @param {Contour[]} contours
+ */
+function getBounds(contours) {
+  let points = contours.flat();
+
+  if (points.length === 0) {
+    return { xMin: 0, yMin: 0, xMax: 0, yMax: 0 };
+  }
+
+  return {
+    xMin: Math.min(...points.map(([x]) => x)),
+    yMin: Math.min(...points.map(([, y]) => y)),
+    xMax: Math.max(...points.map(([x]) => x)),
+    yMax: Math.max(...points.map(([, y]) => y)),
+  };
+}
+
+/**
+ * Writes big-endian binary data into a growable buffer.
+ */
+class BinaryWriter {
+  /**
+   * @type {number[]}
+   */
+  bytes = [];
+
+  /**
+   * @param {number} value
+   */
+  u8(value) {
+    this.bytes.push(value & 0xff);
+    return this;
+  }
+
+  /**
+   * @param {number} value
+   */
+  u16(value) {
+    return this.u8(value >> 8).u8(value);
+  }
+
+  /**
+   * @param {number} value
+   */
+  i16(value) {
+    return this.u16(value < 0 ? value + 0x10000 : value);
+  }
+
+  /**
+   * @param {number} value
+   */
+  u32(value) {
+    return this.u16(Math.floor(value / 0x10000)).u16(value % 0x10000);
+  }
+
+  /**
+   * @param {string} tag
+   */
+  tag(tag) {
+    for (let i = 0; i < 4; i++) this.u8(tag.charCodeAt(i) || 32);
+    return this;
+  }
+
+  /**
+   * @param {Uint8Array} bytes
+   */
+  append(bytes) {
+    for (let byte of bytes) this.bytes.push(byte);
+    return this;
+  }
+
+  /**
+   * Pads the data with zeroes until its length is a multiple of 4.
+   */
+  align() {
+    while (this.bytes.length % 4) this.u8(0);
+    return this;
+  }
+
+  get length() {
+    return this.bytes.length;
+  }
+
+  toBytes() {
+    return new Uint8Array(this.bytes);
+  }
+}
+
+/**
+ * The number of seconds between 1904 (the TrueType epoch) and 1970.
+ */
+const EPOCH_OFFSET = 2082844800;
+
+/**
+ * @typedef {object} Metrics
+ * @prop {number} unitsPerEm
+ * @prop {number} ascender
+ * @prop {number} descender
+ * @prop {number} lineGap
+ * @prop {number} capHeight
+ * @prop {number} xHeight
+ * @prop {number} xMin
+ * @prop {number} yMin
+ * @prop {number} xMax
+ * @prop {number} yMax
+ * @prop {number} firstCharIndex
+ * @prop {number} lastCharIndex
+ * @prop {number} averageWidth
+ * @prop {number} lowestPixelsPerEm
+ */
+
+/**
+ * @param {Metrics} metrics
+ * @returns {Table}
+ */
+function createHeadTable(metrics) {
+  let now = Math.floor(Date.now() / 1000) + EPOCH_OFFSET;
+  let data = new BinaryWriter()
+    .u32(0x00010000) // version
+    .u32(0x00010000) // fontRevision
+    .u32(0) // checksumAdjustment (filled in later)
+    .u32(0x5f0f3cf5) // magicNumber
+    .u16(0b1001) // flags: baseline at y=0, integer ppem
+    .u16(metrics.unitsPerEm)
+    .u32(0)
+    .u32(now) // created
+    .u32(0)
+    .u32(now) // modified
+    .i16(metrics.xMin)
+    .i16(metrics.yMin)
+    .i16(metrics.xMax)
+    .i16(metrics.yMax)
+    .u16(0) // macStyle
+    .u16(metrics.lowestPixelsPerEm)
+    .i16(2) // fontDirectionHint
+    .i16(1) // indexToLocFormat (long offsets)
+    .i16(0) // glyphDataFormat
+    .toBytes();
+
+  return { tag: "head", data };
+}
+
+/**
+ * @param {Glyph[]} glyphs
+ * @param {ReturnType<typeof getBounds>[]} bounds
+ * @param {Metrics} metrics
+ * @returns {Table}
+ */
+function createHheaTable(glyphs, bounds, metrics) {
+  let advances = glyphs.map((glyph) => glyph.advanceWidth);
+  let leftBearings = bounds.map((bounds) => bounds.xMin);
+  let rightBearings = glyphs.map(
+    (glyph, index) => glyph.advanceWidth - bounds[index].xMax,
+  );
+
+  let data = new BinaryWriter()
+    .u32(0x00010000) // version
+    .i16(metrics.ascender)
+    .i16(metrics.descender)
+    .i16(metrics.lineGap)
+    .u16(Math.max(...advances))
+    .i16(Math.min(...leftBearings))
+    .i16(Math.min(...rightBearings))
+    .i16(Math.max(...bounds.map((bounds) => bounds.xMax)))
+    .i16(1) // caretSlopeRise
+    .i16(0) // caretSlopeRun
+    .i16(0) // caretOffset
+    .i16(0)
+    .i16(0)
+    .i16(0)
+    .i16(0)
+    .i16(0) // metricDataFormat
+    .u16(glyphs.length) // numberOfHMetrics
+    .toBytes();
+
+  return { tag: "hhea", data };
+}
+
+/**
+ * @param {Glyph[]} glyphs
+ * @param {ReturnType<typeof getBounds>[]} bounds
+ * @returns {Table}
+ */
+function createHmtxTable(glyphs, bounds) {
+  let writer = new BinaryWriter();
+
+  glyphs.forEach((glyph, index) => {
+    writer.u16(glyph.advanceWidth).i16(bounds[index].xMin);
+  });
+
+  return { tag: "hmtx", data: writer.toBytes() };
+}
+
+/**
+ * @param {Glyph[]} glyphs
+ * @returns {Table}
+ */
+function createMaxpTable(glyphs) {
+  let points = glyphs.map((glyph) => glyph.contours.flat().length);
+  let contours = glyphs.map((glyph) => glyph.contours.length);
+
+  let data = new BinaryWriter()
+    .u32(0x00010000) // version
+    .u16(glyphs.length)
+    .u16(Math.max(...points)) // maxPoints
+    .u16(Math.max(...contours)) // maxContours
+    .u16(0) // maxCompositePoints
+    .u16(0) // maxCompositeContours
+    .u16(2) // maxZones
+    .u16(0) // maxTwilightPoints
+    .u16(0) // maxStorage
+    .u16(0) // maxFunctionDefs
+    .u16(0) // maxInstructionDefs
+    .u16(0) // maxStackElements
+    .u16(0) // maxSizeOfInstructions
+    .u16(0) // maxComponentElements
+    .u16(0) // maxComponentDepth
+    .toBytes();
+
+  return { tag: "maxp", data };
+}
+
+/**
+ * @param {Glyph[]} glyphs
+ * @param {ReturnType<typeof getBounds>[]} bounds
+ * @returns {{ glyf: Table, loca: Table }}
+ */
+function createGlyfTable(glyphs, bounds) {
+  let glyf = new BinaryWriter();
+  let loca = new BinaryWriter();
+
+  glyphs.forEach((glyph, index) => {
+    loca.u32(glyf.length);
+
+    // Empty glyphs have no data at all
+    if (glyph.contours.length === 0) return;
+
+    let { xMin, yMin, xMax, yMax } = bounds[index];
+    glyf.i16(glyph.contours.length).i16(xMin).i16(yMin).i16(xMax).i16(yMax);
+
+    let end = -1;
+
+    for (let contour of glyph.contours) {
+      end += contour.length;
+      glyf.u16(end);
+    }
+
+    glyf.u16(0); // instructionLength
+
+    let points = glyph.contours.flat();
+
+    for (let i = 0; i < points.length; i++) {
+      glyf.u8(0x01); // ON_CURVE_POINT
+    }
+
+    let x = 0;
+    let y = 0;
+
+    for (let point of points) {
+      glyf.i16(point[0] - x);
+      x = point[0];
+    }
+
+    for (let point of points) {
+      glyf.i16(point[1] - y);
+      y = point[1];
+    }
+
+    glyf.align();
+  });
+
+  loca.u32(glyf.length);
+
+  return {
+    glyf: { tag: "glyf", data: glyf.toBytes() },
+    loca: { tag: "loca", data: loca.toBytes() },
+  };
+}
+
+/**
+ * Creates a character map with a format 4 subtable for the basic multilingual
+ * plane and a format 12 subtable for every code point.
+ * @param {Map<number, number>} cmap
+ * @returns {Table}
+ */
+function createCmapTable(cmap) {
+  let codePoints = Array.from(cmap.keys()).sort((a, b) => a - b);
+  let bmp = codePoints.filter((codePoint) => codePoint < 0xffff);
+
+  /**
+   * @param {number} codePoint
+   */
+  let getGlyph = (codePoint) => /** @type {number} */ (cmap.get(codePoint));
+
+  // Format 4, with one segment per code point
+  let segments = [
+    ...bmp.map((codePoint) => ({
+      start: codePoint,
+      end: codePoint,
+      delta: (getGlyph(codePoint) - codePoint) & 0xffff,
+    })),
+    { start: 0xffff, end: 0xffff, delta: 1 },
+  ];
+
+  let segCount = segments.length;
+  let entrySelector = Math.floor(Math.log2(segCount));
+  let searchRange = 2 ** entrySelector * 2;
+
+  let format4 = new BinaryWriter()
+    .u16(4) // format
+    .u16(16 + segCount * 8) // length
+    .u16(0) // language
+    .u16(segCount * 2)
+    .u16(searchRange)
+    .u16(entrySelector)
+    .u16(segCount * 2 - searchRange);
+
+  for (let segment of segments) format4.u16(segment.end);
+  format4.u16(0); // reservedPad
+  for (let segment of segments) format4.u16(segment.start);
+  for (let segment of segments) format4.u16(segment.delta);
+  for (let i = 0; i < segCount; i++) format4.u16(0); // idRangeOffsets
+
+  // Format 12, with groups of consecutive code points and glyphs
+  /**
+   * @type {{ start: number, end: number, glyph: number }[]}
+   */
+  let groups = [];
+
+  for (let codePoint of codePoints) {
+    let glyph = getGlyph(codePoint);
+    let group = groups[groups.length - 1];
+
+    if (
+      group &&
+      group.end + 1 === codePoint &&
+      group.glyph + (codePoint - group.start) === glyph
+    ) {
+      group.end = codePoint;
+    } else {
+      groups.push({ start: codePoint, end: codePoint, glyph });
+    }
+  }
+
+  let format12 = new BinaryWriter()
+    .u16(12) // format
+    .u16(0) // reserved
+    .u32(16 + groups.length * 12) // length
+    .u32(0) // language
+    .u32(groups.length);
+
+  for (let group of groups) {
+    format12.u32(group.start).u32(group.end).u32(group.glyph);
+  }
+
+  let headerLength = 4 + 2 * 8;
+
+  let data = new BinaryWriter()
+    .u16(0) // version
+    .u16(2) // numTables
+    .u16(3) // platformID (Windows)
+    .u16(1) // encodingID (Unicode BMP)
+    .u32(headerLength)
+    .u16(3) // platformID (Windows)
+    .u16(10) // encodingID (Unicode full repertoire)
+    .u32(headerLength + format4.length)
+    .append(format4.toBytes())
+    .append(format12.toBytes())
+    .toBytes();
+
+  return { tag: "cmap", data };
+}
+
+/**
+ * @param {string} familyName
+ * @returns {Table}
+ */
+function createNameTable(familyName) {
+  let postscriptName = familyName.replace(/[^\x21-\x7e]|[[\](){}<>/%]/g, "");
+
+  /**
+   * @type {Record<number, string>}
+   */
+  let names = {
+    1: familyName,
+    2: "Regular",
+    3: `${postscriptName}-Regular`,
+    4: familyName,
+    5: "Version 1.0",
+    6: postscriptName || "Tinyfont",
+  };
+
+  let records = new BinaryWriter();
+  let strings = new BinaryWriter();
+
+  for (let [nameId, value] of Object.entries(names)) {
+    let offset = strings.length;
+
+    for (let i = 0; i < value.length; i++) {
+      strings.u16(value.charCodeAt(i));
+    }
+
+    records
+      .u16(3) // platformID (Windows)
+      .u16(1) // encodingID (Unicode BMP)
+      .u16(0x0409) // languageID (en-US)
+      .u16(Number(nameId))
+      .u16(strings.length - offset)
+      .u16(offset);
+  }
+
+  let count = Object.keys(names).length;
+
+  let data = new BinaryWriter()
+    .u16(0) // format
+    .u16(count)
+    .u16(6 + count * 12) // storageOffset
+    .append(records.toBytes())
+    .append(strings.toBytes())
+    .toBytes();
+
+  return { tag: "name", data };
+}
+
+/**
+ * @param {Metrics} metrics
+ * @returns {Table}
+ */
+function createOS2Table(metrics) {
+  let pixel = UNITS_PER_PIXEL;
+
+  let data = new BinaryWriter()
+    .u16(4) // version
+    .i16(metrics.averageWidth)
+    .u16(400) // usWeightClass (regular)
+    .u16(5) // usWidthClass (medium)
+    .u16(0) // fsType (installable)
+    .i16(metrics.unitsPerEm / 2) // ySubscriptXSize
+    .i16(metrics.unitsPerEm / 2) // ySubscriptYSize
+    .i16(0) // ySubscriptXOffset
+    .i16(pixel) // ySubscriptYOffset
+    .i16(metrics.unitsPerEm / 2) // ySuperscriptXSize
+    .i16(metrics.unitsPerEm / 2) // ySuperscriptYSize
+    .i16(0) // ySuperscriptXOffset
+    .i16(metrics.ascender / 2) // ySuperscriptYOffset
+    .i16(pixel) // yStrikeoutSize
+    .i16(Math.round(metrics.xHeight / 2)) // yStrikeoutPosition
+    .i16(0) // sFamilyClass
+    .append(new Uint8Array(10)) // panose
+    .u32(0) // ulUnicodeRange1
+    .u32(0) // ulUnicodeRange2
+    .u32(0) // ulUnicodeRange3
+    .u32(0) // ulUnicodeRange4
+    .tag("NONE") // achVendID
+    .u16(0x40) // fsSelection (regular)
+    .u16(metrics.firstCharIndex)
+    .u16(metrics.lastCharIndex)
+    .i16(metrics.ascender) // sTypoAscender
+    .i16(metrics.descender) // sTypoDescender
+    .i16(metrics.lineGap) // sTypoLineGap
+    .u16(Math.max(metrics.ascender, metrics.yMax)) // usWinAscent
+    .u16(Math.max(-metrics.descender, -metrics.yMin)) // usWinDescent
+    .u32(1) // ulCodePageRange1 (Latin 1)
+    .u32(0) // ulCodePageRange2
+    .i16(metrics.xHeight) // sxHeight
+    .i16(metrics.capHeight) // sCapHeight
+    .u16(0) // usDefaultChar
+    .u16(32) // usBreakChar
+    .u16(0) // usMaxContext
+    .toBytes();
+
+  return { tag: "OS/2", data };
+}
+
+/**
+ * @param {Font} font
+ * @returns {Table}
+ */
+function createPostTable(font) {
+  let advances = Object.values(font.advanceWidths);
+  let isFixedPitch = advances.every((advance) => advance === font.glyphWidth);
+
+  let data = new BinaryWriter()
+    .u32(0x00030000) // version
+    .u32(0) // italicAngle
+    .i16(-UNITS_PER_PIXEL) // underlinePosition
+    .i16(UNITS_PER_PIXEL) // underlineThickness
+    .u32(isFixedPitch ? 1 : 0)
+    .u32(0) // minMemType42
+    .u32(0) // maxMemType42
+    .u32(0) // minMemType1
+    .u32(0) // maxMemType1
+    .toBytes();
+
+  return { tag: "post", data };
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+function calculateChecksum(bytes) {
+  let sum = 0;
+
+  for (let i = 0; i < bytes.length; i += 4) {
+    let word =
+      ((bytes[i] ?? 0) << 24) |
+      ((bytes[i + 1] ?? 0) << 16) |
+      ((bytes[i + 2] ?? 0) << 8) |
+      (bytes[i + 3] ?? 0);
+    sum = (sum + (word >>> 0)) % 0x100000000;
+  }
+
+  return sum;
+}
+
+/**
+ * Combines tables into an sfnt font file.
+ * @param {Table[]} tables
+ * @returns {ArrayBuffer}
+ */
+function createFontFile(tables) {
+  tables = tables.slice().sort((a, b) => (a.tag < b.tag ? -1 : 1));
+
+  let entrySelector = Math.floor(Math.log2(tables.length));
+  let searchRange = 2 ** entrySelector * 16;
+
+  let file = new BinaryWriter()
+    .u32(0x00010000) // sfntVersion
+    .u16(tables.length)
+    .u16(searchRange)
+    .u16(entrySelector)
+    .u16(tables.length * 16 - searchRange);
+
+  let offset = 12 + tables.length * 16;
+
+  for (let table of tables) {
+    file
+      .tag(table.tag)
+      .u32(calculateChecksum(table.data))
+      .u32(offset)
+      .u32(table.data.length);
+
+    offset += Math.ceil(table.data.length / 4) * 4;
+  }
+
+  for (let table of tables) {
+    file.append(table.data).align();
+  }
+
+  let bytes = file.toBytes();
+
+  // The head table's checksum adjustment makes the whole file sum to a magic
+  // number.
+  let headOffset = 12 + tables.findIndex((table) => table.tag === "head") * 16;
+  let headDataOffset = new DataView(bytes.buffer).getUint32(headOffset + 8);
+  let adjustment =
+    (0xb1b0afba - calculateChecksum(bytes) + 0x100000000) % 0x100000000;
+  new DataView(bytes.buffer).setUint32(headDataOffset + 8, adjustment);
+
+  return bytes.buffer;
+}
+
+/**
+ * Wraps a TrueType font in the WOFF format, compressing its tables.
+ * @param {ArrayBuffer} ttf
+ * @returns {Promise<ArrayBuffer>}
+ */
+export async function convertToWoff(ttf) {
+  let bytes = new Uint8Array(ttf);
+  let view = new DataView(ttf);
+  let numTables = view.getUint16(4);
+
+  let tables = await Promise.all(
+    Array.from({ length: numTables }, async (_, index) => {
+      let record = 12 + index * 16;
+      let tag = String.fromCharCode(...bytes.subarray(record, record + 4));
+      let checksum = view.getUint32(record + 4);
+      let offset = view.getUint32(record + 8);
+      let length = view.getUint32(record + 12);
+      let data = bytes.subarray(offset, offset + length);
+      let compressed = await compress(data);
+
+      // Tables are only stored compressed if it makes them smaller
+      if (compressed.length >= data.length) {
+        compressed = data;
+      }
+
+      return { tag, checksum, data, compressed };
+    }),
+  );
+
+  let offset = 44 + numTables * 20;
+  let directory = new BinaryWriter();
+  let body = new BinaryWriter();
+
+  for (let table of tables) {
+    directory
+      .tag(table.tag)
+      .u32(offset + body.length)
+      .u32(table.compressed.length)
+      .u32(table.data.length)
+      .u32(table.checksum);
+
+    body.append(table.compressed).align();
+  }
+
+  let header = new BinaryWriter()
+    .tag("wOFF")
+    .u32(0x00010000) // flavor
+    .u32(offset + body.length) // length
+    .u16(numTables)
+    .u16(0) // reserved
+    .u32(ttf.byteLength) // totalSfntSize
+    .u16(1) // majorVersion
+    .u16(0) // minorVersion
+    .u32(0) // metaOffset
+    .u32(0) // metaLength
+    .u32(0) // metaOrigLength
+    .u32(0) // privOffset
+    .u32(0); // privLength
+
+  return header.append(directory.toBytes()).append(body.toBytes()).toBytes()
+    .buffer;
+}
+
+/**
+ * Compresses data with zlib.
+ * @param {Uint8Array<ArrayBuffer>} data
+ * @returns {Promise<Uint8Array>}
+ */
+async function compress(data) {
+  let stream = new Blob([data])
+    .stream()
+    .pipeThrough(new CompressionStream("deflate"));
+
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
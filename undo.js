@@ -0,0 +1,96 @@
+// @ts-check
+
+/**
+ * A stack of previous states that can be undone and redone.
+ * @template T
+ */
+export class UndoHistory {
+  /**
+   * @type {T[]}
+   */
+  undoStack = [];
+
+  /**
+   * @type {T[]}
+   */
+  redoStack = [];
+
+  /**
+   * @type {number} The maximum number of states to remember.
+   */
+  limit;
+
+  /**
+   * The key of the previous change, if it can be merged with the next one.
+   * @type {string | undefined}
+   */
+  lastKey = undefined;
+
+  /**
+   * @param {number} [limit]
+   */
+  constructor(limit = 100) {
+    this.limit = limit;
+  }
+
+  /**
+   * Records the state before a change is made.
+   * @param {T} state
+   * @param {string} [key] If provided, changes with the same key as the
+   * previous change are merged into one (e.g. repeatedly nudging the same
+   * glyph).
+   */
+  push(state, key) {
+    let merge = key !== undefined && key === this.lastKey;
+    this.lastKey = key;
+    this.redoStack = [];
+
+    if (merge) {
+      return;
+    }
+
+    this.undoStack.push(state);
+
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.shift();
+    }
+  }
+
+  /**
+   * @param {T} current The current state, which can be restored with redo.
+   * @returns {T | undefined} The state to restore, if there is one.
+   */
+  undo(current) {
+    if (this.undoStack.length === 0) return;
+    let state = /** @type {T} */ (this.undoStack.pop());
+    this.lastKey = undefined;
+    this.redoStack.push(current);
+    return state;
+  }
+
+  /**
+   * @param {T} current The current state, which can be restored with undo.
+   * @returns {T | undefined} The state to restore, if there is one.
+   */
+  redo(current) {
+    if (this.redoStack.length === 0) return;
+    let state = /** @type {T} */ (this.redoStack.pop());
+    this.lastKey = undefined;
+    this.undoStack.push(current);
+    return state;
+  }
+
+  clear() {
+    this.lastKey = undefined;
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+}